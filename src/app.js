@@ -1,33 +1,89 @@
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
+import { AVATAR_DIR } from "./utils/file-storage.js";
+import { getAllowedOrigins } from "./utils/origin.js";
 
 const app = express();
 
+// number of proxies in front of the app, needed for the real client ip (rate limits)
+// read per request, .env is loaded after the modules are imported
+app.set(
+  "trust proxy",
+  (address, hopIndex) => hopIndex < (Number(process.env.TRUST_PROXY) || 0),
+);
+
+//? METRICS AND LOGGING (first, so every request is measured and logged)
+import { collectHttpMetrics } from "./middlewares/metrics.middleware.js";
+import { requestLogger } from "./middlewares/request-logger.middleware.js";
+app.use(collectHttpMetrics);
+app.use(requestLogger);
+
 //? BASIC CONFIGURATION
 app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
-app.use(express.static("public"));
+// only avatars are public, task attachments (also older ones still in
+// public/images) are served by the download route after the permission check
+app.use("/images/avatars", express.static(AVATAR_DIR));
 app.use(cookieParser());
 
 //? CORES CONFIGURATION
 app.use(
   cors({
-    origin: process.env.CORS_ORIGIN?.split(",") || "https://localhost:5173",
+    origin: (origin, callback) => callback(null, getAllowedOrigins()),
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTION"],
-    allowedHeaders: ["Authorization", "Content-Type"],
+    allowedHeaders: ["Authorization", "Content-Type", "X-Request-Id"],
+    exposedHeaders: ["X-Request-Id"],
   }),
 );
 
 //import the routes
 import healthCheckRouter from "./routes/healthcheck.routes.js";
 import authRouter from "./routes/auth.routes.js";
-app.use("/api/v1/healthcheck", healthCheckRouter);
-app.use("/api/v1/auth", authRouter);
+import projectRouter from "./routes/project.routes.js";
+import taskRouter from "./routes/task.routes.js";
+import noteRouter from "./routes/note.routes.js";
+import invitationRouter from "./routes/invitation.routes.js";
+import activityRouter from "./routes/activity.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import statsRouter from "./routes/stats.routes.js";
+import userRouter from "./routes/user.routes.js";
+import docsRouter from "./routes/docs.routes.js";
+import metricsRouter from "./routes/metrics.routes.js";
+
+const apiRoutes = [
+  ["/api/v1/healthcheck", healthCheckRouter],
+  ["/api/v1/auth", authRouter],
+  ["/api/v1/projects", projectRouter],
+  ["/api/v1/tasks", taskRouter],
+  ["/api/v1/notes", noteRouter],
+  ["/api/v1/invitations", invitationRouter],
+  ["/api/v1/activity", activityRouter],
+  ["/api/v1/notifications", notificationRouter],
+  ["/api/v1/stats", statsRouter],
+  ["/api/v1/users", userRouter],
+];
+
+for (const [path, router] of apiRoutes) {
+  app.use(path, router);
+}
+
+// the OpenAPI document is generated from the routers above
+app.set("apiRoutes", apiRoutes);
+app.use("/api/v1/docs", docsRouter);
+app.use("/metrics", metricsRouter);
 
 app.get("/", (req, res) => {
   res.send("Hello World!");
 });
 
+//? ERROR HANDLING (must be registered after every route)
+import {
+  errorHandler,
+  notFoundHandler,
+} from "./middlewares/error.middleware.js";
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 export default app;
@@ -0,0 +1,82 @@
+import { Activity } from "../models/activity.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { ActivityEntityEnum } from "../utils/constants.js";
+
+//! Build the mongo filter and paging from the feed query string
+const buildActivityQuery = (query) => {
+  const { entityType, entityId, action, actor, from, to } = query;
+  const page = Number(query.page) || 1;
+  const limit = Number(query.limit) || 20;
+
+  const filter = {
+    ...(entityType && { entityType }),
+    ...(entityId && { entityId }),
+    ...(action && { action }),
+    ...(actor && { actor }),
+  };
+
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) }),
+    };
+  }
+
+  return { filter, page, limit };
+};
+
+//! Run the feed query
+const findActivities = async (filter, page, limit) => {
+  const [activities, total] = await Promise.all([
+    Activity.find(filter)
+      .populate("actor", "username fullName avatar")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Activity.countDocuments(filter),
+  ]);
+
+  return {
+    activities,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  };
+};
+
+//! Get the activity feed of a project
+const getProjectActivity = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { filter, page, limit } = buildActivityQuery(req.query);
+
+  const feed = await findActivities(
+    { ...filter, project: projectId },
+    page,
+    limit,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, feed, "Project activity fetched successfully."));
+});
+
+//! Get the account security feed
+const getSecurityActivity = asyncHandler(async (req, res) => {
+  const { filter, page, limit } = buildActivityQuery(req.query);
+
+  const feed = await findActivities(
+    { ...filter, entityType: ActivityEntityEnum.USER },
+    page,
+    limit,
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, feed, "Security activity fetched successfully."),
+    );
+});
+
+export { getProjectActivity, getSecurityActivity };
@@ -1,24 +1,53 @@
 import { User } from "../models/user.models.js";
+import { Invitation } from "../models/invitation.models.js";
+import { Session } from "../models/session.models.js";
 import { ApiResponse } from "../utils/api-response.js";
 import { ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
 import {
+  accountLockedMail,
   emailVerificationMail,
   forgotPasswordMail,
   sendEmail,
 } from "../utils/mail.js";
 import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import { joinProjectFromInvitation } from "./invitation.controller.js";
+import { verifyTotp } from "../utils/totp.js";
+import { ActivityActionEnum, ActivityEntityEnum } from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { closeSessionSockets, closeUserSockets } from "../utils/realtime.js";
+
+//! Record an account security event
+const logAuthActivity = (req, user, action) => {
+  return logActivity(req, {
+    actor: user._id,
+    entityType: ActivityEntityEnum.USER,
+    entityId: user._id,
+    action,
+  });
+};
 
 //! Generate Access & Refresh Token
-const generateAccessAndRefreshToken = async (userId) => {
+// creates a new session on login, or rotates the tokens of an existing one
+const generateAccessAndRefreshToken = async (userId, req, session) => {
   try {
     const user = await User.findById(userId);
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
 
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    if (!session) {
+      session = new Session({ user: user._id });
+    }
+
+    const accessToken = user.generateAccessToken(session._id);
+    const refreshToken = user.generateRefreshToken(session._id);
+
+    session.refreshTokenHash = Session.hashToken(refreshToken);
+    session.expiresAt = jwt.decode(refreshToken).exp * 1000;
+    session.lastUsedAt = Date.now();
+    session.userAgent = req.get("user-agent") || "";
+    session.ip = req.ip || "";
+    await session.save();
 
     return { accessToken, refreshToken };
   } catch (error) {
@@ -31,7 +60,7 @@ const generateAccessAndRefreshToken = async (userId) => {
 
 //! Register User
 const registerUser = asyncHandler(async (req, res) => {
-  const { email, username, password, role } = req.body;
+  const { email, username, password, fullname, invitationToken } = req.body;
 
   const existedUser = await User.findOne({
     $or: [{ username }, { email }],
@@ -41,9 +70,24 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(409, "User email or username already exists", []);
   }
 
+  // signing up from a project invitation
+  let invitation = null;
+  if (invitationToken) {
+    invitation = await Invitation.findPendingByToken(invitationToken);
+
+    if (!invitation) {
+      throw new ApiError(400, "Invitation is invalid or expired!");
+    }
+
+    if (invitation.email !== email.toLowerCase()) {
+      throw new ApiError(400, "This invitation was sent to a different email!");
+    }
+  }
+
   const user = await User.create({
     username: username,
     email: email,
+    fullName: fullname,
     password: password,
     isEmailVarified: false,
   });
@@ -56,7 +100,7 @@ const registerUser = asyncHandler(async (req, res) => {
 
   await user.save({ validateBeforeSave: false });
 
-  await sendEmail({
+  const mailResult = await sendEmail({
     email: user?.email,
     subject: "Please verify you email.",
     mailgenContent: emailVerificationMail(
@@ -66,50 +110,87 @@ const registerUser = asyncHandler(async (req, res) => {
   });
 
   const createdUser = await User.findById(user._id).select(
-    "-password -refreshToken -emailVarificationToken -emailVarificationExpiry",
+    "-password -emailVarificationToken -emailVarificationExpiry -unlockToken -unlockExpiry",
   );
 
   if (!createdUser) {
     throw new ApiError(500, "Something went wrong while registering the user.");
   }
 
+  const projectMember = invitation
+    ? await joinProjectFromInvitation(invitation, createdUser, req)
+    : undefined;
+
   return res
     .status(201)
     .json(
       new ApiResponse(
         200,
-        { user: createdUser },
-        "User registered successfully and verification email has been sent on your email.",
+        { user: createdUser, projectMember, emailSent: mailResult.sent },
+        mailResult.sent
+          ? "User registered successfully and verification email has been sent on your email."
+          : "User registered successfully but the verification email could not be sent yet, it will be retried.",
       ),
     );
 });
 
-//! Log in
-const login = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
+//! Lock the account and mail an unlock link
+const handleFailedLogin = async (user, req) => {
+  const locked = await user.registerFailedLogin();
 
-  if (!email) {
-    throw new ApiError(400, "Username or email is required !");
-  }
+  await logAuthActivity(req, user, ActivityActionEnum.LOGIN_FAILED);
 
-  const user = await User.findOne({ email });
+  if (!locked) return;
 
-  if (!user) {
-    throw new ApiError(400, "User does not exists !");
-  }
+  await logAuthActivity(req, user, ActivityActionEnum.ACCOUNT_LOCKED);
 
-  const isPasswordValid = await user.isPasswordCorrect(password);
+  const { unHashedToken, hashedToken } = user.generateTemoporaryToken();
 
-  if (!isPasswordValid) {
-    throw new ApiError(400, "Invalid credentials !");
-  }
+  user.unlockToken = hashedToken;
+  user.unlockExpiry = user.lockUntil;
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail({
+    email: user.email,
+    subject: "Your account has been locked",
+    mailgenContent: accountLockedMail(
+      user.username,
+      `${req.protocol}://${req.get("host")}/api/v1/auth/unlock-account/${unHashedToken}`,
+      user.lockUntil,
+    ),
+  });
+};
 
+// compared against when the email is unknown so both paths take as long
+const dummyPasswordHash = bcrypt.hash(
+  crypto.randomBytes(16).toString("hex"),
+  10,
+);
+
+//! Reject logins while the account is locked
+const assertNotLocked = (user, res) => {
+  if (!user.isLocked()) return;
+
+  const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+  res.set("Retry-After", String(retryAfter));
+  throw new ApiError(
+    429,
+    "Too many failed login attempts, please try again later.",
+    [{ retryAfter }],
+  );
+};
+
+//! Start a session and send the tokens
+const sendLoginResponse = async (user, req, res) => {
   const { accessToken, refreshToken } = await generateAccessAndRefreshToken(
     user._id,
+    req,
   );
 
+  await logAuthActivity(req, user, ActivityActionEnum.LOGIN);
+
   const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken -emailVarificationToken -emailVarificationExpiry",
+    "-password -emailVarificationToken -emailVarificationExpiry -unlockToken -unlockExpiry",
   );
 
   if (!loggedInUser) {
@@ -136,21 +217,118 @@ const login = asyncHandler(async (req, res) => {
         "User Logged In Sucessfully",
       ),
     );
+};
+
+//! Log in
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email) {
+    throw new ApiError(400, "Username or email is required !");
+  }
+
+  const user = await User.findOne({ email });
+
+  const isPasswordValid = user
+    ? await user.isPasswordCorrect(password)
+    : await bcrypt.compare(password, await dummyPasswordHash);
+
+  // same answer whether or not the account exists or is locked,
+  // the lock mail tells the owner what happened
+  if (!user || user.isLocked()) {
+    throw new ApiError(400, "Invalid credentials !");
+  }
+
+  if (!isPasswordValid) {
+    await handleFailedLogin(user, req);
+    throw new ApiError(400, "Invalid credentials !");
+  }
+
+  // second step happens in verifyTwoFactorLogin
+  if (user.twoFactorEnabled) {
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          twoFactorRequired: true,
+          challengeToken: user.generateTwoFactorChallengeToken(),
+        },
+        "Two factor authentication code required.",
+      ),
+    );
+  }
+
+  await user.resetLoginAttempts();
+
+  return sendLoginResponse(user, req, res);
+});
+
+//! Log in, two factor step
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(
+      challengeToken,
+      process.env.TWO_FACTOR_CHALLENGE_SECRET,
+    );
+  } catch (error) {
+    throw new ApiError(401, "Two factor challenge is invalid or expired!");
+  }
+
+  if (decodedToken?.purpose !== "2fa_challenge") {
+    throw new ApiError(401, "Two factor challenge is invalid or expired!");
+  }
+
+  const user = await User.findById(decodedToken._id).select(
+    "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep",
+  );
+
+  if (!user || !user.twoFactorEnabled) {
+    throw new ApiError(401, "Two factor challenge is invalid or expired!");
+  }
+
+  assertNotLocked(user, res);
+
+  let isCodeValid = false;
+
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+
+    // a code can only be used once
+    if (step !== null && step > (user.twoFactorLastUsedStep ?? -1)) {
+      user.twoFactorLastUsedStep = step;
+      isCodeValid = true;
+    }
+  } else if (recoveryCode) {
+    isCodeValid = user.useRecoveryCode(recoveryCode);
+  }
+
+  if (!isCodeValid) {
+    await handleFailedLogin(user, req);
+    throw new ApiError(400, "Invalid two factor code!");
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await user.resetLoginAttempts();
+
+  return sendLoginResponse(user, req, res);
 });
 
 //! Log Out
 const logout = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user?._id,
+  await Session.updateOne(
+    { _id: req.sessionId, user: req.user?._id, revokedAt: null },
     {
-      $set: {
-        refreshToken: "",
-      },
-    },
-    {
-      new: true,
+      $set: { revokedAt: Date.now(), revokedReason: "logout" },
+      $unset: { refreshTokenHash: 1 },
     },
   );
+  closeSessionSockets(req.sessionId);
+
+  await logAuthActivity(req, req.user, ActivityActionEnum.LOGOUT);
+
   const options = {
     httpOnly: true,
     secure: true,
@@ -199,6 +377,8 @@ const verifyEmail = asyncHandler(async (req, res) => {
 
   await user.save({ validateBeforeSave: false });
 
+  await logAuthActivity(req, user, ActivityActionEnum.EMAIL_VERIFIED);
+
   return res.status(200).json(
     new ApiResponse(
       200,
@@ -230,7 +410,7 @@ const resendEmailVerification = asyncHandler(async (req, res) => {
 
   await user.save({ validateBeforeSave: false });
 
-  await sendEmail({
+  const mailResult = await sendEmail({
     email: user?.email,
     subject: "Please verify you email.",
     mailgenContent: emailVerificationMail(
@@ -239,6 +419,14 @@ const resendEmailVerification = asyncHandler(async (req, res) => {
     ),
   });
 
+  if (!mailResult.sent) {
+    throw new ApiError(
+      503,
+      "Verification mail could not be sent right now, it will be retried.",
+      [{ email: mailResult.error }],
+    );
+  }
+
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "Mail has been sent to your email."));
@@ -253,57 +441,56 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorixed access!");
   }
 
+  let decodedToken;
   try {
-    const decodedToken = jwt.verify(
+    decodedToken = jwt.verify(
       incommingRefreshToken,
       process.env.REFRESH_TOKEN_SECRET,
     );
-
-    const user = await User.findById(decodedToken?._id);
-    if (!user) {
-      throw new ApiError(404, "Invalid refresh token");
-    }
-
-    if (incommingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(404, "Invalid refresh token");
-    }
-
-    const options = {
-      httpOnly: true,
-      secure: true,
-    };
-
-    const { accessToken, refreshToken: newRefreshToken } =
-      await generateAccessAndRefreshToken(user._id);
-
-    user.refreshToken = newRefreshToken;
-    await user.save();
-
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", newRefreshToken, options)
-      .json(
-        new ApiResponse(
-          200,
-          { accessToken, refreshToken: newRefreshToken },
-          "Access Token refreshed!",
-        ),
-      );
   } catch (error) {
     throw new ApiError(401, "Refresh token is expired!");
   }
-});
 
-//! Forgot Password
-const forgotPasswordRequest = asyncHandler(async (req, res) => {
-  const { email } = req.body;
-  const user = await User.findOne({ email });
+  const session = await Session.findById(decodedToken?.sid);
 
-  if (!user) {
-    throw new ApiError(404, "User does not exists!", []);
+  if (
+    !session ||
+    session.revokedAt ||
+    String(session.user) !== String(decodedToken?._id)
+  ) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  // an already rotated token was presented again, someone else may hold it
+  if (session.refreshTokenHash !== Session.hashToken(incommingRefreshToken)) {
+    await session.revoke("refresh_token_reuse");
+    closeSessionSockets(session._id);
+    throw new ApiError(401, "Refresh token reuse detected, session revoked!");
   }
 
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  const { accessToken, refreshToken: newRefreshToken } =
+    await generateAccessAndRefreshToken(session.user, req, session);
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", newRefreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        { accessToken, refreshToken: newRefreshToken },
+        "Access Token refreshed!",
+      ),
+    );
+});
+
+//! Store a reset token and mail it
+const sendPasswordResetMail = async (user) => {
   const { unHashedToken, hashedToken, tokenExpiry } =
     user.generateTemoporaryToken();
 
@@ -313,21 +500,68 @@ const forgotPasswordRequest = asyncHandler(async (req, res) => {
   await user.save({ validateBeforeSave: false });
 
   await sendEmail({
-    email: user?.email,
+    email: user.email,
     subject: "Password Reset Request",
     mailgenContent: forgotPasswordMail(
       user.username,
       `${process.env.FORGOT_PASSWORD_REDIRECT_URL}/${unHashedToken}`,
     ),
   });
+};
+
+//! Forgot Password
+const forgotPasswordRequest = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const user = await User.findOne({ email });
+
+  // same answer, and as fast, whether or not the account exists: the mail is
+  // not awaited, failed mails are retried by the mail worker
+  if (user) {
+    sendPasswordResetMail(user).catch((error) =>
+      req.log.error("Error while sending password reset mail", error),
+    );
+  }
 
   return res
     .status(200)
     .json(
-      new ApiResponse(200, {}, "Password reset mail is sent to yoru email."),
+      new ApiResponse(
+        200,
+        {},
+        "If an account exists for this email, a password reset mail has been sent.",
+      ),
     );
 });
 
+//! Unlock account
+const unlockAccount = asyncHandler(async (req, res) => {
+  const { unlockToken } = req.params;
+
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(unlockToken)
+    .digest("hex");
+
+  const user = await User.findOne({
+    unlockToken: hashedToken,
+    unlockExpiry: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw new ApiError(400, "Token is invalid or expired!");
+  }
+
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  user.unlockToken = undefined;
+  user.unlockExpiry = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Account unlocked successfully!"));
+});
+
 //! Reset forget password
 const resetForgotPassword = asyncHandler(async (req, res) => {
   const { resetToken } = req.params;
@@ -351,9 +585,13 @@ const resetForgotPassword = asyncHandler(async (req, res) => {
   user.forgotPasswordToken = undefined;
 
   user.password = newPassword;
-  user.refreshToken = "";
   await user.save({ validateBeforeSave: false });
 
+  await Session.revokeAllForUser(user._id, "password_changed");
+  closeUserSockets(user._id);
+
+  await logAuthActivity(req, user, ActivityActionEnum.PASSWORD_RESET);
+
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "Password reset successfully!"));
@@ -372,9 +610,13 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
   }
 
   user.password = newPassword;
-  user.refreshToken = "";
   await user.save({ validateBeforeSave: false });
 
+  await Session.revokeAllForUser(user._id, "password_changed");
+  closeUserSockets(user._id);
+
+  await logAuthActivity(req, user, ActivityActionEnum.PASSWORD_CHANGED);
+
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "Password changed successfully!"));
@@ -383,6 +625,7 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
 export {
   registerUser,
   login,
+  verifyTwoFactorLogin,
   logout,
   getCurrentUser,
   verifyEmail,
@@ -391,4 +634,5 @@ export {
   forgotPasswordRequest,
   changeCurrentPassword,
   refreshAccessToken,
+  unlockAccount,
 };
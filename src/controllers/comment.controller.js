@@ -0,0 +1,262 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.models.js";
+import { Task } from "../models/task.models.js";
+import { Comment } from "../models/comment.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  ActivityActionEnum,
+  ActivityEntityEnum,
+  NotificationTypeEnum,
+  UserRolesEnum,
+} from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { commentMentionMail } from "../utils/mail.js";
+import { notify } from "../utils/notification.js";
+import { findProjectTask } from "./task.controller.js";
+
+const MENTION_REGEX = /(?:^|[^a-zA-Z0-9_.-])@([a-zA-Z0-9_.-]{3,})/g;
+
+//! Find a comment that belongs to the project
+const findProjectComment = async (projectId, commentId) => {
+  if (!mongoose.isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id!");
+  }
+
+  const comment = await Comment.findOne({
+    _id: commentId,
+    project: projectId,
+    isDeleted: false,
+  });
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found!");
+  }
+
+  return comment;
+};
+
+//! Resolve @username mentions to project members
+const resolveMentions = async (projectId, body) => {
+  const usernames = [
+    ...new Set(
+      [...body.matchAll(MENTION_REGEX)].map((match) =>
+        match[1].replace(/\.+$/, "").toLowerCase(),
+      ),
+    ),
+  ];
+
+  if (!usernames.length) return [];
+
+  const users = await User.find({ username: { $in: usernames } }).select(
+    "_id username email",
+  );
+
+  const members = await ProjectMember.find({
+    project: projectId,
+    user: { $in: users.map((user) => user._id) },
+  }).select("user");
+
+  const memberIds = members.map((member) => String(member.user));
+
+  return users.filter((user) => memberIds.includes(String(user._id)));
+};
+
+//! Notify the users mentioned in a comment
+const notifyMentionedUsers = async (req, users, task, comment) => {
+  const excerpt =
+    comment.body.length > 200
+      ? `${comment.body.slice(0, 200)}...`
+      : comment.body;
+  const title = `${req.user.username} mentioned you on "${task.title}"`;
+  const link = `${process.env.CLIENT_URL}/projects/${task.project}/tasks/${task._id}#comment-${comment._id}`;
+
+  for (const user of users) {
+    await notify(req, {
+      recipient: user._id,
+      type: NotificationTypeEnum.MENTION,
+      title,
+      message: excerpt,
+      link,
+      project: task.project,
+      task: task._id,
+      mail: {
+        subject: title,
+        mailgenContent: commentMentionMail(
+          user.username,
+          req.user.username,
+          task.title,
+          excerpt,
+          link,
+        ),
+      },
+    });
+  }
+};
+
+//! Get the comment threads of a task
+const getTaskComments = asyncHandler(async (req, res) => {
+  const { projectId, taskId } = req.params;
+
+  const task = await findProjectTask(projectId, taskId);
+
+  const comments = await Comment.find({ task: task._id })
+    .populate("author", "username fullName avatar")
+    .populate("mentions", "username fullName")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // nest replies under their parent
+  const commentsById = new Map(
+    comments.map((comment) => [
+      String(comment._id),
+      { ...comment, replies: [] },
+    ]),
+  );
+  const threads = [];
+
+  for (const comment of commentsById.values()) {
+    const parent = comment.parent && commentsById.get(String(comment.parent));
+
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, threads, "Comments fetched successfully."));
+});
+
+//! Create comment or reply
+const createComment = asyncHandler(async (req, res) => {
+  const { projectId, taskId } = req.params;
+  const { body, parent } = req.body;
+
+  const task = await findProjectTask(projectId, taskId);
+
+  if (parent) {
+    const parentComment = await findProjectComment(projectId, parent);
+
+    if (String(parentComment.task) !== String(task._id)) {
+      throw new ApiError(400, "Parent comment belongs to another task!");
+    }
+  }
+
+  const mentionedUsers = await resolveMentions(projectId, body);
+
+  const comment = await Comment.create({
+    task: task._id,
+    project: projectId,
+    author: req.user._id,
+    parent: parent || null,
+    body,
+    mentions: mentionedUsers.map((user) => user._id),
+  });
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.COMMENT,
+    entityId: comment._id,
+    action: ActivityActionEnum.CREATED,
+    after: { task: task._id, parent: comment.parent, body: comment.body },
+  });
+
+  await notifyMentionedUsers(req, mentionedUsers, task, comment);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment created successfully."));
+});
+
+//! Update comment
+const updateComment = asyncHandler(async (req, res) => {
+  const { projectId, commentId } = req.params;
+  const { body } = req.body;
+
+  const comment = await findProjectComment(projectId, commentId);
+
+  if (String(comment.author) !== String(req.user._id)) {
+    throw new ApiError(403, "You can only edit your own comments!");
+  }
+
+  const previousComment = comment.toObject();
+  const mentionedUsers = await resolveMentions(projectId, body);
+
+  comment.body = body;
+  comment.mentions = mentionedUsers.map((user) => user._id);
+  comment.isEdited = true;
+  comment.editedAt = Date.now();
+  await comment.save();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.COMMENT,
+    entityId: comment._id,
+    action: ActivityActionEnum.UPDATED,
+    before: { body: previousComment.body },
+    after: { body: comment.body },
+  });
+
+  // only users mentioned for the first time get a mail
+  const previousMentions = previousComment.mentions.map(String);
+  const newlyMentioned = mentionedUsers.filter(
+    (user) => !previousMentions.includes(String(user._id)),
+  );
+
+  if (newlyMentioned.length) {
+    const task = await Task.findById(comment.task);
+    await notifyMentionedUsers(req, newlyMentioned, task, comment);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully."));
+});
+
+//! Delete comment
+const deleteComment = asyncHandler(async (req, res) => {
+  const { projectId, commentId } = req.params;
+
+  const comment = await findProjectComment(projectId, commentId);
+
+  const isAuthor = String(comment.author) === String(req.user._id);
+  const isModerator = [
+    UserRolesEnum.ADMIN,
+    UserRolesEnum.PROJECT_ADMIN,
+  ].includes(req.projectMember?.role);
+
+  if (!isAuthor && !isModerator) {
+    throw new ApiError(403, "You are not allowed to delete this comment!");
+  }
+
+  const hasReplies = await Comment.exists({ parent: comment._id });
+
+  // keep the thread intact when others already replied
+  if (hasReplies) {
+    comment.isDeleted = true;
+    comment.body = "";
+    comment.mentions = [];
+    await comment.save();
+  } else {
+    await comment.deleteOne();
+  }
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.COMMENT,
+    entityId: comment._id,
+    action: ActivityActionEnum.DELETED,
+    before: { task: comment.task, author: comment.author },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully."));
+});
+
+export { getTaskComments, createComment, updateComment, deleteComment };
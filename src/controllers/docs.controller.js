@@ -0,0 +1,39 @@
+import { asyncHandler } from "../utils/async-handler.js";
+import { buildOpenApiDocument } from "../utils/openapi.js";
+
+// the routes never change at runtime, so the document is built once
+let openApiDocument;
+
+//! Get the OpenAPI document of the API
+const getOpenApiDocument = asyncHandler(async (req, res) => {
+  openApiDocument ??= buildOpenApiDocument(req.app.get("apiRoutes"));
+
+  return res.status(200).json(await openApiDocument);
+});
+
+//! Get the browsable API docs
+const getApiDocsPage = asyncHandler(async (req, res) => {
+  const assets = `${req.baseUrl}/assets`;
+
+  return res.status(200).type("html").send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Project Camp API</title>
+    <link rel="stylesheet" href="${assets}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${assets}/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: "${req.baseUrl}/openapi.json",
+        dom_id: "#swagger-ui",
+        withCredentials: true,
+      });
+    </script>
+  </body>
+</html>`);
+});
+
+export { getOpenApiDocument, getApiDocsPage };
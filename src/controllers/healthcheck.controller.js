@@ -1,5 +1,14 @@
+import fs from "fs";
+import mongoose from "mongoose";
 import { ApiResponse } from "../utils/api-response.js";
 import { asyncHandler } from "../utils/async-handler.js";
+import { getMailTransport } from "../utils/mail-transport.js";
+
+const { version } = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf-8"),
+);
+
+const CHECK_TIMEOUT = 2 * 1000; //2 sec
 
 /**
  * 
@@ -15,10 +24,79 @@ import { asyncHandler } from "../utils/async-handler.js";
 }
  */
 
-const healthCheck = asyncHandler(async (req, res) => {
-  res
+//! Run one check with a time limit
+const runCheck = async (check) => {
+  const startedAt = Date.now();
+
+  try {
+    await Promise.race([
+      check(),
+      new Promise((_, reject) =>
+        setTimeout(
+          () => reject(new Error("Check timed out")),
+          CHECK_TIMEOUT,
+        ).unref(),
+      ),
+    ]);
+
+    return { status: "up", latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return {
+      status: "down",
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+    };
+  }
+};
+
+//! Ping MongoDB
+const checkDatabase = () => {
+  return runCheck(async () => {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error("MongoDB is not connected");
+    }
+
+    await mongoose.connection.db.admin().ping();
+  });
+};
+
+const getProcessInfo = () => ({
+  version,
+  uptime: Math.round(process.uptime()),
+});
+
+//! Liveness, the process is up and serving requests
+const liveness = asyncHandler(async (req, res) => {
+  return res
     .status(200)
-    .json(new ApiResponse(200, { message: "Server is running..." }));
+    .json(new ApiResponse(200, { status: "up", ...getProcessInfo() }, "Alive"));
+});
+
+//! Readiness, the process can serve traffic
+// SMTP is only checked with HEALTHCHECK_SMTP=true and never fails readiness,
+// mails are retried from the outbox
+const healthCheck = asyncHandler(async (req, res) => {
+  const [database, mail] = await Promise.all([
+    checkDatabase(),
+    process.env.HEALTHCHECK_SMTP === "true"
+      ? runCheck(() => getMailTransport().verify())
+      : undefined,
+  ]);
+
+  const isReady = database.status === "up";
+  const statusCode = isReady ? 200 : 503;
+
+  return res.status(statusCode).json(
+    new ApiResponse(
+      statusCode,
+      {
+        status: isReady ? "up" : "down",
+        checks: { database, ...(mail && { mail }) },
+        ...getProcessInfo(),
+      },
+      isReady ? "Server is running..." : "Server is not ready",
+    ),
+  );
 });
 
-export { healthCheck };
+export { healthCheck, liveness };
@@ -0,0 +1,359 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Invitation } from "../models/invitation.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  ActivityActionEnum,
+  ActivityEntityEnum,
+  InvitationStatusEnum,
+  NotificationTypeEnum,
+  RealtimeEventEnum,
+  WebhookEventEnum,
+} from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { projectInvitationMail, sendEmail } from "../utils/mail.js";
+import { notify } from "../utils/notification.js";
+import { publishProjectEvent } from "../utils/realtime.js";
+import { dispatchWebhookEvent } from "../utils/webhook.js";
+
+//! Turn a pending invitation into a project membership
+// also used by registerUser when an unregistered user signs up from an invite
+const joinProjectFromInvitation = async (invitation, user, req) => {
+  if (invitation.email !== user.email) {
+    throw new ApiError(403, "This invitation was sent to a different email!");
+  }
+
+  const existedMember = await ProjectMember.findOne({
+    project: invitation.project,
+    user: user._id,
+  });
+
+  const projectMember =
+    existedMember ||
+    (await ProjectMember.create({
+      user: user._id,
+      project: invitation.project,
+      role: invitation.role,
+    }));
+
+  invitation.status = InvitationStatusEnum.ACCEPTED;
+  invitation.invitationToken = undefined;
+  invitation.invitationExpiry = undefined;
+  await invitation.save();
+
+  if (!existedMember) {
+    await logActivity(req, {
+      actor: user._id,
+      project: invitation.project,
+      entityType: ActivityEntityEnum.MEMBER,
+      entityId: user._id,
+      action: ActivityActionEnum.CREATED,
+      after: {
+        user: user._id,
+        email: user.email,
+        role: invitation.role,
+        invitation: invitation._id,
+      },
+    });
+
+    await dispatchWebhookEvent(
+      invitation.project,
+      WebhookEventEnum.MEMBER_ADDED,
+      {
+        user: { _id: user._id, username: user.username, email: user.email },
+        role: invitation.role,
+      },
+    );
+
+    publishProjectEvent(
+      invitation.project,
+      RealtimeEventEnum.MEMBER_ADDED,
+      projectMember,
+      user._id,
+    );
+  }
+
+  return projectMember;
+};
+
+//! Find a pending invitation by the token in the url
+const findPendingInvitation = async (invitationToken) => {
+  if (!invitationToken) {
+    throw new ApiError(400, "Invitation token is missing!");
+  }
+
+  const invitation = await Invitation.findPendingByToken(invitationToken);
+
+  if (!invitation) {
+    throw new ApiError(404, "Invitation is invalid or expired!");
+  }
+
+  return invitation;
+};
+
+//! Create or refresh a pending invitation and mail its token
+// also used by importProject, imported members have to accept first
+const sendProjectInvitation = async (
+  req,
+  project,
+  { email, role, existedUser },
+) => {
+  // re-inviting the same email refreshes the pending invitation
+  let invitation = await Invitation.findOne({
+    project: project._id,
+    email,
+    status: InvitationStatusEnum.PENDING,
+  });
+
+  if (!invitation) {
+    invitation = new Invitation({
+      project: project._id,
+      email,
+      invitedBy: req.user._id,
+    });
+  }
+
+  const { unHashedToken, hashedToken, tokenExpiry } =
+    invitation.generateInvitationToken();
+
+  invitation.role = role;
+  invitation.invitedBy = req.user._id;
+  invitation.invitationToken = hashedToken;
+  invitation.invitationExpiry = tokenExpiry;
+
+  await invitation.save();
+
+  await logActivity(req, {
+    project: project._id,
+    entityType: ActivityEntityEnum.INVITATION,
+    entityId: invitation._id,
+    action: ActivityActionEnum.CREATED,
+    after: { email, role },
+  });
+
+  const mailResult = await sendEmail({
+    email,
+    subject: `You are invited to join ${project.name}`,
+    mailgenContent: projectInvitationMail(
+      req.user.username,
+      project.name,
+      role,
+      `${process.env.INVITATION_REDIRECT_URL}/${unHashedToken}`,
+    ),
+  });
+
+  // the invitation mail carries the token so it always goes out,
+  // users who already have an account also see it in the app
+  if (existedUser) {
+    await notify(req, {
+      recipient: existedUser._id,
+      type: NotificationTypeEnum.INVITE,
+      title: `${req.user.username} invited you to join ${project.name}`,
+      message: `You were invited as ${role}.`,
+      link: `${process.env.CLIENT_URL}/invitations`,
+      project: project._id,
+      mail: false,
+    });
+  }
+
+  return { invitation, mailResult };
+};
+
+//! Invite a user to the project by email
+const createInvitation = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { email, role } = req.body;
+
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new ApiError(404, "Project not found!");
+  }
+
+  const existedUser = await User.findOne({ email });
+
+  if (existedUser) {
+    const existedMember = await ProjectMember.findOne({
+      project: projectId,
+      user: existedUser._id,
+    });
+
+    if (existedMember) {
+      throw new ApiError(409, "User is already a member of this project!");
+    }
+  }
+
+  const { invitation, mailResult } = await sendProjectInvitation(req, project, {
+    email,
+    role,
+    existedUser,
+  });
+
+  const createdInvitation = await Invitation.findById(invitation._id).select(
+    "-invitationToken",
+  );
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { invitation: createdInvitation, emailSent: mailResult.sent },
+        mailResult.sent
+          ? "Invitation sent successfully."
+          : "Invitation created but the mail could not be sent yet, it will be retried.",
+      ),
+    );
+});
+
+//! Get invitations of a project
+const getProjectInvitations = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { status } = req.query;
+
+  const invitations = await Invitation.find({
+    project: projectId,
+    ...(status && { status }),
+  })
+    .select("-invitationToken")
+    .populate("invitedBy", "username fullName avatar")
+    .sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, invitations, "Invitations fetched successfully."),
+    );
+});
+
+//! Revoke a pending invitation
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const { projectId, invitationId } = req.params;
+
+  if (!mongoose.isValidObjectId(invitationId)) {
+    throw new ApiError(400, "Invalid invitation id!");
+  }
+
+  const invitation = await Invitation.findOne({
+    _id: invitationId,
+    project: projectId,
+    status: InvitationStatusEnum.PENDING,
+  });
+
+  if (!invitation) {
+    throw new ApiError(404, "Pending invitation not found!");
+  }
+
+  invitation.status = InvitationStatusEnum.REVOKED;
+  invitation.invitationToken = undefined;
+  invitation.invitationExpiry = undefined;
+  await invitation.save();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.INVITATION,
+    entityId: invitation._id,
+    action: ActivityActionEnum.DELETED,
+    before: { email: invitation.email, role: invitation.role },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, invitation, "Invitation revoked."));
+});
+
+//! Get pending invitations of the current user
+const getMyInvitations = asyncHandler(async (req, res) => {
+  const invitations = await Invitation.find({
+    email: req.user.email,
+    status: InvitationStatusEnum.PENDING,
+    invitationExpiry: { $gt: Date.now() },
+  })
+    .select("-invitationToken")
+    .populate("project", "name description")
+    .populate("invitedBy", "username fullName avatar")
+    .sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, invitations, "Invitations fetched successfully."),
+    );
+});
+
+//! Get invitation details by token
+const getInvitationByToken = asyncHandler(async (req, res) => {
+  const { invitationToken } = req.params;
+
+  const invitation = await findPendingInvitation(invitationToken);
+
+  await invitation.populate([
+    { path: "project", select: "name description" },
+    { path: "invitedBy", select: "username fullName avatar" },
+  ]);
+
+  // lets the client decide between the login and register screens
+  const hasAccount = Boolean(await User.exists({ email: invitation.email }));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        email: invitation.email,
+        role: invitation.role,
+        project: invitation.project,
+        invitedBy: invitation.invitedBy,
+        invitationExpiry: invitation.invitationExpiry,
+        hasAccount,
+      },
+      "Invitation fetched successfully.",
+    ),
+  );
+});
+
+//! Accept invitation
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { invitationToken } = req.params;
+
+  const invitation = await findPendingInvitation(invitationToken);
+
+  const projectMember = await joinProjectFromInvitation(
+    invitation,
+    req.user,
+    req,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, projectMember, "Invitation accepted."));
+});
+
+//! Decline invitation
+const declineInvitation = asyncHandler(async (req, res) => {
+  const { invitationToken } = req.params;
+
+  const invitation = await findPendingInvitation(invitationToken);
+
+  invitation.status = InvitationStatusEnum.DECLINED;
+  invitation.invitationToken = undefined;
+  invitation.invitationExpiry = undefined;
+  await invitation.save();
+
+  return res.status(200).json(new ApiResponse(200, {}, "Invitation declined."));
+});
+
+export {
+  joinProjectFromInvitation,
+  sendProjectInvitation,
+  createInvitation,
+  getProjectInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  getInvitationByToken,
+  acceptInvitation,
+  declineInvitation,
+};
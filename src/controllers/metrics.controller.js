@@ -0,0 +1,29 @@
+import crypto from "crypto";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { metricsRegistry } from "../utils/metrics.js";
+
+//! Get the metrics in Prometheus text format
+// with METRICS_TOKEN set the scraper has to send it as a bearer token
+const getMetrics = asyncHandler(async (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+
+  if (metricsToken) {
+    const token = req.headers.authorization?.replace(/^Bearer\s+/i, "") || "";
+
+    const isValid =
+      token.length === metricsToken.length &&
+      crypto.timingSafeEqual(Buffer.from(token), Buffer.from(metricsToken));
+
+    if (!isValid) {
+      throw new ApiError(401, "Unauthorzed request");
+    }
+  }
+
+  return res
+    .status(200)
+    .type(metricsRegistry.contentType)
+    .send(await metricsRegistry.metrics());
+});
+
+export { getMetrics };
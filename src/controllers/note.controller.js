@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+import { Note } from "../models/note.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  ActivityActionEnum,
+  ActivityEntityEnum,
+  RealtimeEventEnum,
+  WebhookEventEnum,
+} from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { publishProjectEvent } from "../utils/realtime.js";
+import { dispatchWebhookEvent } from "../utils/webhook.js";
+
+//! Find a note that belongs to the project
+const findProjectNote = async (projectId, noteId) => {
+  if (!mongoose.isValidObjectId(noteId)) {
+    throw new ApiError(400, "Invalid note id!");
+  }
+
+  const note = await Note.findOne({ _id: noteId, project: projectId });
+
+  if (!note) {
+    throw new ApiError(404, "Note not found!");
+  }
+
+  return note;
+};
+
+//! Get all notes of a project
+const getNotes = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const notes = await Note.find({ project: projectId })
+    .populate("createdBy", "username fullName avatar")
+    .sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notes, "Notes fetched successfully."));
+});
+
+//! Get note by id
+const getNoteById = asyncHandler(async (req, res) => {
+  const { projectId, noteId } = req.params;
+
+  const note = await findProjectNote(projectId, noteId);
+
+  await note.populate("createdBy", "username fullName avatar");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, note, "Note fetched successfully."));
+});
+
+//! Create note
+const createNote = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { title, content } = req.body;
+
+  const note = await Note.create({
+    title,
+    content,
+    project: projectId,
+    createdBy: req.user._id,
+  });
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.NOTE,
+    entityId: note._id,
+    action: ActivityActionEnum.CREATED,
+    after: { title: note.title },
+  });
+
+  await dispatchWebhookEvent(projectId, WebhookEventEnum.NOTE_CREATED, note);
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.NOTE_CREATED,
+    note,
+    req.user._id,
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, note, "Note created successfully."));
+});
+
+//! Update note
+const updateNote = asyncHandler(async (req, res) => {
+  const { projectId, noteId } = req.params;
+  const { title, content } = req.body;
+
+  const note = await findProjectNote(projectId, noteId);
+  const previousNote = note.toObject();
+
+  if (title !== undefined) note.title = title;
+  if (content !== undefined) note.content = content;
+
+  await note.save();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.NOTE,
+    entityId: note._id,
+    action: ActivityActionEnum.UPDATED,
+    before: previousNote,
+    after: note,
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.NOTE_UPDATED,
+    note,
+    req.user._id,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, note, "Note updated successfully."));
+});
+
+//! Delete note
+const deleteNote = asyncHandler(async (req, res) => {
+  const { projectId, noteId } = req.params;
+
+  const note = await findProjectNote(projectId, noteId);
+
+  await note.deleteOne();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.NOTE,
+    entityId: note._id,
+    action: ActivityActionEnum.DELETED,
+    before: { title: note.title, content: note.content },
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.NOTE_DELETED,
+    { _id: note._id },
+    req.user._id,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, note, "Note deleted successfully."));
+});
+
+export { getNotes, getNoteById, createNote, updateNote, deleteNote };
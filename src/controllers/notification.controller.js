@@ -0,0 +1,178 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.models.js";
+import { Notification } from "../models/notification.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  AvailableNotificationType,
+  NotificationDeliveryEnum,
+} from "../utils/constants.js";
+
+//! Fill in the default delivery for every notification type
+const getPreferences = (user) => {
+  return {
+    ...Object.fromEntries(
+      AvailableNotificationType.map((type) => [
+        type,
+        user.notificationPreferences?.[type] ||
+          NotificationDeliveryEnum.INSTANT,
+      ]),
+    ),
+    taskReminders: user.notificationPreferences?.taskReminders ?? true,
+  };
+};
+
+//! Get notifications of the current user
+const getNotifications = asyncHandler(async (req, res) => {
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 20;
+  const { type, unreadOnly } = req.query;
+
+  const filter = {
+    recipient: req.user._id,
+    ...(type && { type }),
+    ...(unreadOnly === "true" && { isRead: false }),
+  };
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .populate("actor", "username fullName avatar")
+      .populate("project", "name")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ recipient: req.user._id, isRead: false }),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        notifications,
+        unreadCount,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+      "Notifications fetched successfully.",
+    ),
+  );
+});
+
+//! Get unread notification count
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({
+    recipient: req.user._id,
+    isRead: false,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { unreadCount },
+        "Unread count fetched successfully.",
+      ),
+    );
+});
+
+//! Mark one notification as read
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  if (!mongoose.isValidObjectId(notificationId)) {
+    throw new ApiError(400, "Invalid notification id!");
+  }
+
+  const notification = await Notification.findOne({
+    _id: notificationId,
+    recipient: req.user._id,
+  });
+
+  if (!notification) {
+    throw new ApiError(404, "Notification not found!");
+  }
+
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = Date.now();
+    await notification.save();
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read."));
+});
+
+//! Mark all notifications as read
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, isRead: false },
+    { $set: { isRead: true, readAt: Date.now() } },
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { updated: result.modifiedCount },
+        "All notifications marked as read.",
+      ),
+    );
+});
+
+//! Get notification preferences
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        getPreferences(req.user),
+        "Notification preferences fetched successfully.",
+      ),
+    );
+});
+
+//! Update notification preferences
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const updates = Object.fromEntries(
+    AvailableNotificationType.filter(
+      (type) => req.body[type] !== undefined,
+    ).map((type) => [`notificationPreferences.${type}`, req.body[type]]),
+  );
+
+  if (req.body.taskReminders !== undefined) {
+    updates["notificationPreferences.taskReminders"] = req.body.taskReminders;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true },
+  ).select("notificationPreferences");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        getPreferences(user),
+        "Notification preferences updated successfully.",
+      ),
+    );
+});
+
+export {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import { PersonalToken } from "../models/personaltoken.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { ActivityActionEnum, ActivityEntityEnum } from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+
+//! Create a personal access token
+const createPersonalToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt, projects = [] } = req.body;
+
+  const projectIds = [...new Set(projects.map(String))];
+
+  // a token can only be restricted to projects the user is a member of
+  const memberships = await ProjectMember.countDocuments({
+    user: req.user._id,
+    project: { $in: projectIds },
+  });
+
+  if (memberships !== projectIds.length) {
+    throw new ApiError(400, "You are not a member of every listed project!");
+  }
+
+  const { token, tokenHash, tokenPreview } = PersonalToken.generateToken();
+
+  const personalToken = await PersonalToken.create({
+    user: req.user._id,
+    name,
+    tokenHash,
+    tokenPreview,
+    scopes: [...new Set(scopes)],
+    projects: projectIds,
+    expiresAt: expiresAt || undefined,
+  });
+
+  await logActivity(req, {
+    entityType: ActivityEntityEnum.USER,
+    entityId: req.user._id,
+    action: ActivityActionEnum.PERSONAL_TOKEN_CREATED,
+    after: {
+      personalToken: personalToken._id,
+      name,
+      scopes: personalToken.scopes,
+    },
+  });
+
+  const data = personalToken.toObject();
+  delete data.tokenHash;
+
+  // the token is only shown once, only its hash is stored
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...data, token },
+        "Personal access token created successfully.",
+      ),
+    );
+});
+
+//! Get personal access tokens of the current user
+const getPersonalTokens = asyncHandler(async (req, res) => {
+  const personalTokens = await PersonalToken.find({
+    user: req.user._id,
+    revokedAt: null,
+  })
+    .populate("projects", "name")
+    .sort({ createdAt: -1 });
+
+  const data = personalTokens.map((personalToken) => ({
+    ...personalToken.toObject(),
+    isExpired: Boolean(
+      personalToken.expiresAt && personalToken.expiresAt <= Date.now(),
+    ),
+  }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        data,
+        "Personal access tokens fetched successfully.",
+      ),
+    );
+});
+
+//! Revoke a personal access token
+const revokePersonalToken = asyncHandler(async (req, res) => {
+  const { tokenId } = req.params;
+
+  if (!mongoose.isValidObjectId(tokenId)) {
+    throw new ApiError(400, "Invalid token id!");
+  }
+
+  const personalToken = await PersonalToken.findOne({
+    _id: tokenId,
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!personalToken) {
+    throw new ApiError(404, "Personal access token not found!");
+  }
+
+  personalToken.revokedAt = Date.now();
+  await personalToken.save();
+
+  await logActivity(req, {
+    entityType: ActivityEntityEnum.USER,
+    entityId: req.user._id,
+    action: ActivityActionEnum.PERSONAL_TOKEN_REVOKED,
+    after: { personalToken: personalToken._id, name: personalToken.name },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        personalToken,
+        "Personal access token revoked successfully.",
+      ),
+    );
+});
+
+export { createPersonalToken, getPersonalTokens, revokePersonalToken };
@@ -0,0 +1,515 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Task } from "../models/task.models.js";
+import { SubTask } from "../models/subtask.models.js";
+import { Note } from "../models/note.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Invitation } from "../models/invitation.models.js";
+import { Webhook } from "../models/webhook.models.js";
+import { WebhookDelivery } from "../models/webhookdelivery.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  ActivityActionEnum,
+  ActivityEntityEnum,
+  RealtimeEventEnum,
+  UserRolesEnum,
+  WebhookEventEnum,
+} from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { removeLocalFile } from "../utils/file-storage.js";
+import {
+  publishProjectEvent,
+  unsubscribeUserFromProject,
+} from "../utils/realtime.js";
+import { dispatchWebhookEvent } from "../utils/webhook.js";
+
+//! Get all projects of the user
+const getProjects = asyncHandler(async (req, res) => {
+  const projects = await ProjectMember.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(req.user._id),
+        // a personal access token may be restricted to some projects
+        ...(req.personalToken?.projects.length && {
+          project: { $in: req.personalToken.projects },
+        }),
+      },
+    },
+    {
+      $lookup: {
+        from: "projects",
+        localField: "project",
+        foreignField: "_id",
+        as: "project",
+        pipeline: [
+          {
+            $lookup: {
+              from: "projectmembers",
+              localField: "_id",
+              foreignField: "project",
+              as: "projectMembers",
+            },
+          },
+          {
+            $addFields: {
+              members: { $size: "$projectMembers" },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$project",
+    },
+    {
+      $project: {
+        project: {
+          _id: 1,
+          name: 1,
+          description: 1,
+          members: 1,
+          createdBy: 1,
+          createdAt: 1,
+        },
+        role: 1,
+        _id: 0,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, projects, "Projects fetched successfully."));
+});
+
+//! Get project by id
+const getProjectById = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new ApiError(404, "Project not found!");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project fetched successfully."));
+});
+
+//! Create project
+const createProject = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  const existedProject = await Project.findOne({
+    name,
+    createdBy: req.user._id,
+  });
+
+  if (existedProject) {
+    throw new ApiError(409, "You already have a project with this name!");
+  }
+
+  const project = await Project.create({
+    name,
+    description,
+    createdBy: req.user._id,
+  });
+
+  await ProjectMember.create({
+    user: req.user._id,
+    project: project._id,
+    role: UserRolesEnum.ADMIN,
+  });
+
+  await logActivity(req, {
+    project: project._id,
+    entityType: ActivityEntityEnum.PROJECT,
+    entityId: project._id,
+    action: ActivityActionEnum.CREATED,
+    after: { name: project.name, description: project.description },
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, project, "Project created successfully."));
+});
+
+//! Update project
+const updateProject = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { name, description } = req.body;
+
+  const previousProject = await Project.findById(projectId);
+
+  if (!previousProject) {
+    throw new ApiError(404, "Project not found!");
+  }
+
+  if (name) {
+    const existedProject = await Project.findOne({
+      name,
+      createdBy: previousProject.createdBy,
+      _id: { $ne: projectId },
+    });
+
+    if (existedProject) {
+      throw new ApiError(
+        409,
+        "The project creator already has a project with this name!",
+      );
+    }
+  }
+
+  const project = await Project.findByIdAndUpdate(
+    projectId,
+    {
+      $set: {
+        name,
+        description,
+      },
+    },
+    { new: true },
+  );
+
+  await logActivity(req, {
+    project: project._id,
+    entityType: ActivityEntityEnum.PROJECT,
+    entityId: project._id,
+    action: ActivityActionEnum.UPDATED,
+    before: previousProject,
+    after: project,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project updated successfully."));
+});
+
+//! Delete project
+const deleteProject = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const project = await Project.findByIdAndDelete(projectId);
+
+  if (!project) {
+    throw new ApiError(404, "Project not found!");
+  }
+
+  const tasks = await Task.find({ project: project._id }).select(
+    "_id attachments",
+  );
+
+  await SubTask.deleteMany({ task: { $in: tasks.map((task) => task._id) } });
+  await Task.deleteMany({ project: project._id });
+  await Note.deleteMany({ project: project._id });
+  await Comment.deleteMany({ project: project._id });
+  await Invitation.deleteMany({ project: project._id });
+  await WebhookDelivery.deleteMany({ project: project._id });
+  await Webhook.deleteMany({ project: project._id });
+  await ProjectMember.deleteMany({ project: project._id });
+
+  await Promise.all(
+    tasks
+      .flatMap((task) => task.attachments)
+      .map((attachment) => removeLocalFile(attachment.localPath)),
+  );
+
+  await logActivity(req, {
+    project: project._id,
+    entityType: ActivityEntityEnum.PROJECT,
+    entityId: project._id,
+    action: ActivityActionEnum.DELETED,
+    before: { name: project.name, description: project.description },
+  });
+
+  publishProjectEvent(
+    project._id,
+    RealtimeEventEnum.PROJECT_DELETED,
+    { _id: project._id },
+    req.user._id,
+  );
+  unsubscribeUserFromProject(project._id, null, "project_deleted");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project deleted successfully."));
+});
+
+//! Search tasks, subtasks and notes of a project
+const searchProject = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  // express 5 does not keep sanitized query values, so trim here
+  const q = req.query.q.trim();
+  const limit = Number(req.query.limit) || 20;
+
+  const textSearch = { $text: { $search: q } };
+  const score = { score: { $meta: "textScore" } };
+
+  const projectTaskIds = await Task.find({ project: projectId }).distinct(
+    "_id",
+  );
+
+  const [tasks, subTasks, notes] = await Promise.all([
+    Task.find({ project: projectId, ...textSearch }, score)
+      .select("title description status assignedTo createdAt")
+      .sort(score)
+      .limit(limit),
+    SubTask.find({ task: { $in: projectTaskIds }, ...textSearch }, score)
+      .select("title task isCompleted createdAt")
+      .sort(score)
+      .limit(limit),
+    Note.find({ project: projectId, ...textSearch }, score)
+      .select("title content createdBy createdAt")
+      .sort(score)
+      .limit(limit),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { query: q, tasks, subTasks, notes },
+        "Search results fetched successfully.",
+      ),
+    );
+});
+
+//! Get project members
+const getProjectMembers = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const projectMembers = await ProjectMember.aggregate([
+    {
+      $match: {
+        project: new mongoose.Types.ObjectId(projectId),
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "user",
+        foreignField: "_id",
+        as: "user",
+        pipeline: [
+          {
+            $project: {
+              _id: 1,
+              username: 1,
+              fullName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$user",
+    },
+    {
+      $project: {
+        project: 1,
+        user: 1,
+        role: 1,
+        createdAt: 1,
+        updatedAt: 1,
+        _id: 0,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        projectMembers,
+        "Project members fetched successfully.",
+      ),
+    );
+});
+
+//! Add member to project
+const addMemberToProject = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { email, role } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    throw new ApiError(404, "User does not exists!");
+  }
+
+  const existedMember = await ProjectMember.findOne({
+    project: projectId,
+    user: user._id,
+  });
+
+  if (existedMember) {
+    throw new ApiError(409, "User is already a member of this project!");
+  }
+
+  const projectMember = await ProjectMember.create({
+    user: user._id,
+    project: projectId,
+    role,
+  });
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.MEMBER,
+    entityId: user._id,
+    action: ActivityActionEnum.CREATED,
+    after: { user: user._id, email: user.email, role },
+  });
+
+  await dispatchWebhookEvent(projectId, WebhookEventEnum.MEMBER_ADDED, {
+    user: { _id: user._id, username: user.username, email: user.email },
+    role,
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.MEMBER_ADDED,
+    projectMember,
+    req.user._id,
+  );
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        projectMember,
+        "Member added to project successfully.",
+      ),
+    );
+});
+
+//! Update member role
+const updateMemberRole = asyncHandler(async (req, res) => {
+  const { projectId, userId } = req.params;
+  const { newRole } = req.body;
+
+  const projectMember = await ProjectMember.findOne({
+    project: projectId,
+    user: userId,
+  });
+
+  if (!projectMember) {
+    throw new ApiError(404, "Project member not found!");
+  }
+
+  if (
+    projectMember.role === UserRolesEnum.ADMIN &&
+    newRole !== UserRolesEnum.ADMIN
+  ) {
+    const adminCount = await ProjectMember.countDocuments({
+      project: projectId,
+      role: UserRolesEnum.ADMIN,
+    });
+
+    if (adminCount <= 1) {
+      throw new ApiError(400, "A project must have at least one admin!");
+    }
+  }
+
+  const previousRole = projectMember.role;
+
+  projectMember.role = newRole;
+  await projectMember.save();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.MEMBER,
+    entityId: projectMember.user,
+    action: ActivityActionEnum.ROLE_CHANGED,
+    before: { role: previousRole },
+    after: { role: newRole },
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.MEMBER_UPDATED,
+    projectMember,
+    req.user._id,
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, projectMember, "Member role updated successfully."),
+    );
+});
+
+//! Remove member from project
+const deleteMember = asyncHandler(async (req, res) => {
+  const { projectId, userId } = req.params;
+
+  const projectMember = await ProjectMember.findOne({
+    project: projectId,
+    user: userId,
+  });
+
+  if (!projectMember) {
+    throw new ApiError(404, "Project member not found!");
+  }
+
+  if (projectMember.role === UserRolesEnum.ADMIN) {
+    const adminCount = await ProjectMember.countDocuments({
+      project: projectId,
+      role: UserRolesEnum.ADMIN,
+    });
+
+    if (adminCount <= 1) {
+      throw new ApiError(400, "A project must have at least one admin!");
+    }
+  }
+
+  await projectMember.deleteOne();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.MEMBER,
+    entityId: projectMember.user,
+    action: ActivityActionEnum.DELETED,
+    before: { user: projectMember.user, role: projectMember.role },
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.MEMBER_REMOVED,
+    projectMember,
+    req.user._id,
+  );
+  // a removed member must not keep receiving the project stream
+  unsubscribeUserFromProject(projectId, projectMember.user, "removed");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        projectMember,
+        "Member removed from project successfully.",
+      ),
+    );
+});
+
+export {
+  getProjects,
+  getProjectById,
+  createProject,
+  updateProject,
+  deleteProject,
+  searchProject,
+  getProjectMembers,
+  addMemberToProject,
+  updateMemberRole,
+  deleteMember,
+};
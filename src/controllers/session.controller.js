@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import { Session } from "../models/session.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { ActivityActionEnum, ActivityEntityEnum } from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { closeSessionSockets, closeUserSockets } from "../utils/realtime.js";
+
+//! Get active sessions of the current user
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() },
+  })
+    .select("userAgent ip lastUsedAt expiresAt createdAt")
+    .sort({ lastUsedAt: -1 });
+
+  const data = sessions.map((session) => ({
+    ...session.toObject(),
+    isCurrent: String(session._id) === String(req.sessionId),
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Sessions fetched successfully."));
+});
+
+//! Revoke one session
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session id!");
+  }
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    throw new ApiError(404, "Session not found!");
+  }
+
+  await session.revoke("revoked_by_user");
+  closeSessionSockets(session._id);
+
+  await logActivity(req, {
+    entityType: ActivityEntityEnum.USER,
+    entityId: req.user._id,
+    action: ActivityActionEnum.SESSION_REVOKED,
+    after: { session: session._id },
+  });
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  if (String(session._id) === String(req.sessionId)) {
+    res
+      .clearCookie("accessToken", options)
+      .clearCookie("refreshToken", options);
+  }
+
+  return res.status(200).json(new ApiResponse(200, {}, "Session revoked!"));
+});
+
+//! Revoke all sessions, optionally keeping the current one
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const exceptCurrent = req.query.exceptCurrent === "true";
+
+  const result = await Session.revokeAllForUser(
+    req.user._id,
+    "revoked_by_user",
+    exceptCurrent ? req.sessionId : undefined,
+  );
+  closeUserSockets(req.user._id, {
+    exceptSessionId: exceptCurrent ? req.sessionId : undefined,
+  });
+
+  await logActivity(req, {
+    entityType: ActivityEntityEnum.USER,
+    entityId: req.user._id,
+    action: ActivityActionEnum.SESSION_REVOKED,
+    after: { sessions: "all", exceptCurrent },
+  });
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  if (!exceptCurrent) {
+    res
+      .clearCookie("accessToken", options)
+      .clearCookie("refreshToken", options);
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedCount: result.modifiedCount },
+        "Sessions revoked!",
+      ),
+    );
+});
+
+export { getSessions, revokeSession, revokeAllSessions };
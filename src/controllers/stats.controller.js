@@ -0,0 +1,261 @@
+import mongoose from "mongoose";
+import { Task } from "../models/task.models.js";
+import { SubTask } from "../models/subtask.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { AvailableTaskStatus, TaskStatusEnum } from "../utils/constants.js";
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_THROUGHPUT_WEEKS = 12;
+
+//! Monday 00:00 UTC of the week the date falls in, same as $dateTrunc below
+const getWeekStart = (date) => {
+  const weekStart = new Date(date);
+  weekStart.setUTCHours(0, 0, 0, 0);
+  weekStart.setUTCDate(
+    weekStart.getUTCDate() - ((weekStart.getUTCDay() + 6) % 7),
+  );
+  return weekStart;
+};
+
+//! Turn [{ _id: status, count }] into { todo: 0, in_progress: 0, done: 0 }
+const toStatusCounts = (groups) => {
+  const counts = Object.fromEntries(
+    AvailableTaskStatus.map((status) => [status, 0]),
+  );
+
+  for (const group of groups) {
+    counts[group._id] = group.count;
+  }
+
+  return counts;
+};
+
+//! Get the dashboard stats of a project
+const getProjectStats = asyncHandler(async (req, res) => {
+  const projectId = new mongoose.Types.ObjectId(req.params.projectId);
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_THROUGHPUT_WEEKS * WEEK);
+
+  // tasks finished before completedAt was tracked fall back to updatedAt
+  const completedAt = { $ifNull: ["$completedAt", "$updatedAt"] };
+
+  const [taskStats] = await Task.aggregate([
+    { $match: { project: projectId } },
+    {
+      $facet: {
+        byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        openByAssignee: [
+          { $match: { status: { $ne: TaskStatusEnum.DONE } } },
+          { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: "users",
+              localField: "_id",
+              foreignField: "_id",
+              as: "assignee",
+              pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              assignee: { $ifNull: [{ $first: "$assignee" }, null] },
+              count: 1,
+            },
+          },
+          { $sort: { count: -1 } },
+        ],
+        throughput: [
+          { $match: { status: TaskStatusEnum.DONE } },
+          { $addFields: { finishedAt: completedAt } },
+          { $match: { finishedAt: { $gte: getWeekStart(from), $lte: to } } },
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: "$finishedAt",
+                  unit: "week",
+                  startOfWeek: "monday",
+                },
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        cycleTime: [
+          { $match: { status: TaskStatusEnum.DONE } },
+          {
+            $group: {
+              _id: null,
+              averageMs: {
+                $avg: { $subtract: [completedAt, "$createdAt"] },
+              },
+              tasks: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  // subtasks only know their task, both queries use an index
+  const projectTaskIds = await Task.find({ project: projectId }).distinct(
+    "_id",
+  );
+
+  const [subTaskStats] = await SubTask.aggregate([
+    { $match: { task: { $in: projectTaskIds } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: ["$isCompleted", 1, 0] } },
+      },
+    },
+  ]);
+
+  // weeks without completed tasks still show up with 0
+  const completedPerWeek = new Map(
+    taskStats.throughput.map((week) => [week._id.getTime(), week.count]),
+  );
+  const throughput = [];
+
+  for (
+    let weekStart = getWeekStart(from);
+    weekStart <= to;
+    weekStart = new Date(weekStart.getTime() + WEEK)
+  ) {
+    throughput.push({
+      weekStart,
+      completed: completedPerWeek.get(weekStart.getTime()) || 0,
+    });
+  }
+
+  const byStatus = toStatusCounts(taskStats.byStatus);
+  const cycleTime = taskStats.cycleTime[0];
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        tasks: {
+          total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+          byStatus,
+        },
+        subTasks: {
+          total: subTaskStats?.total || 0,
+          completed: subTaskStats?.completed || 0,
+          completionPercentage: subTaskStats?.total
+            ? Math.round((subTaskStats.completed / subTaskStats.total) * 100)
+            : 0,
+        },
+        openTasksByAssignee: taskStats.openByAssignee,
+        throughput: { from, to, weeks: throughput },
+        averageTimeToDone: {
+          hours: cycleTime
+            ? Math.round((cycleTime.averageMs / (60 * 60 * 1000)) * 10) / 10
+            : null,
+          tasks: cycleTime?.tasks || 0,
+        },
+      },
+      "Project stats fetched successfully.",
+    ),
+  );
+});
+
+//! Get a summary over every project of the current user
+const getMySummary = asyncHandler(async (req, res) => {
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  const memberships = await ProjectMember.find({ user: userId })
+    .populate("project", "name description")
+    .lean();
+
+  const projectIds = memberships
+    .filter((membership) => membership.project)
+    .map((membership) => membership.project._id);
+
+  const [taskStats] = await Task.aggregate([
+    { $match: { project: { $in: projectIds } } },
+    {
+      $facet: {
+        byProjectStatus: [
+          {
+            $group: {
+              _id: { project: "$project", status: "$status" },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        openAssignedToMe: [
+          {
+            $match: {
+              assignedTo: userId,
+              status: { $ne: TaskStatusEnum.DONE },
+            },
+          },
+          { $group: { _id: "$project", count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const assignedToMe = new Map(
+    taskStats.openAssignedToMe.map((group) => [String(group._id), group.count]),
+  );
+
+  const projects = memberships
+    .filter((membership) => membership.project)
+    .map((membership) => {
+      const projectId = String(membership.project._id);
+      const byStatus = toStatusCounts(
+        taskStats.byProjectStatus
+          .filter((group) => String(group._id.project) === projectId)
+          .map((group) => ({ _id: group._id.status, count: group.count })),
+      );
+
+      return {
+        project: membership.project,
+        role: membership.role,
+        tasks: {
+          total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+          byStatus,
+        },
+        openAssignedToMe: assignedToMe.get(projectId) || 0,
+      };
+    });
+
+  const byStatus = toStatusCounts([]);
+
+  for (const project of projects) {
+    for (const status of AvailableTaskStatus) {
+      byStatus[status] += project.tasks.byStatus[status];
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        totals: {
+          projects: projects.length,
+          tasks: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+          byStatus,
+          openAssignedToMe: projects.reduce(
+            (sum, project) => sum + project.openAssignedToMe,
+            0,
+          ),
+        },
+        projects,
+      },
+      "Summary fetched successfully.",
+    ),
+  );
+});
+
+export { getProjectStats, getMySummary };
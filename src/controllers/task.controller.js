@@ -0,0 +1,657 @@
+import mongoose from "mongoose";
+import { Task } from "../models/task.models.js";
+import { SubTask } from "../models/subtask.models.js";
+import { Comment } from "../models/comment.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  ActivityActionEnum,
+  ActivityEntityEnum,
+  NotificationTypeEnum,
+  RealtimeEventEnum,
+  TaskStatusEnum,
+  UserRolesEnum,
+  WebhookEventEnum,
+} from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { notify } from "../utils/notification.js";
+import { publishProjectEvent } from "../utils/realtime.js";
+import { dispatchWebhookEvent } from "../utils/webhook.js";
+import { paginateWithCursor, parseSort } from "../utils/cursor-pagination.js";
+import { removeLocalFile } from "../utils/file-storage.js";
+
+//! Make sure the assignee belongs to the project
+const validateAssignee = async (projectId, assignedTo) => {
+  if (!assignedTo) return;
+
+  if (!mongoose.isValidObjectId(assignedTo)) {
+    throw new ApiError(400, "Invalid assignee id!");
+  }
+
+  const assignee = await ProjectMember.findOne({
+    project: projectId,
+    user: assignedTo,
+  });
+
+  if (!assignee) {
+    throw new ApiError(400, "Assignee must be a member of the project!");
+  }
+};
+
+//! Find a task that belongs to the project
+// also used by the comment controller
+const findProjectTask = async (projectId, taskId) => {
+  if (!mongoose.isValidObjectId(taskId)) {
+    throw new ApiError(400, "Invalid task id!");
+  }
+
+  const task = await Task.findOne({ _id: taskId, project: projectId });
+
+  if (!task) {
+    throw new ApiError(404, "Task not found!");
+  }
+
+  return task;
+};
+
+//! Find a subtask whose parent task belongs to the project
+const findProjectSubTask = async (projectId, subTaskId) => {
+  if (!mongoose.isValidObjectId(subTaskId)) {
+    throw new ApiError(400, "Invalid subtask id!");
+  }
+
+  const subTask = await SubTask.findById(subTaskId);
+
+  if (!subTask) {
+    throw new ApiError(404, "Subtask not found!");
+  }
+
+  await findProjectTask(projectId, subTask.task);
+
+  return subTask;
+};
+
+//! Build the client link of a task
+const getTaskLink = (task) => {
+  return `${process.env.CLIENT_URL}/projects/${task.project}/tasks/${task._id}`;
+};
+
+//! Tell the assignee a task was assigned to them
+const notifyAssignee = async (req, task) => {
+  await notify(req, {
+    recipient: task.assignedTo,
+    type: NotificationTypeEnum.ASSIGNMENT,
+    title: `${req.user.username} assigned you "${task.title}"`,
+    message: task.description,
+    link: getTaskLink(task),
+    project: task.project,
+    task: task._id,
+  });
+};
+
+//! Build the mongo filter from the task list query string
+const buildTaskFilter = (projectId, query) => {
+  const {
+    status,
+    priority,
+    assignedTo,
+    createdBy,
+    createdFrom,
+    createdTo,
+    updatedFrom,
+    updatedTo,
+    dueFrom,
+    dueTo,
+    overdue,
+  } = query;
+
+  const filter = {
+    project: new mongoose.Types.ObjectId(projectId),
+    ...(status && { status: { $in: status.split(",") } }),
+    ...(priority && { priority: { $in: priority.split(",") } }),
+    ...(assignedTo && {
+      assignedTo: assignedTo === "unassigned" ? null : assignedTo,
+    }),
+    ...(createdBy && { createdBy }),
+  };
+
+  if (createdFrom || createdTo) {
+    filter.createdAt = {
+      ...(createdFrom && { $gte: new Date(createdFrom) }),
+      ...(createdTo && { $lte: new Date(createdTo) }),
+    };
+  }
+
+  if (updatedFrom || updatedTo) {
+    filter.updatedAt = {
+      ...(updatedFrom && { $gte: new Date(updatedFrom) }),
+      ...(updatedTo && { $lte: new Date(updatedTo) }),
+    };
+  }
+
+  if (dueFrom || dueTo) {
+    filter.dueDate = {
+      ...(dueFrom && { $gte: new Date(dueFrom) }),
+      ...(dueTo && { $lte: new Date(dueTo) }),
+    };
+  }
+
+  if (overdue === "true") {
+    filter.dueDate = { ...filter.dueDate, $lt: new Date() };
+    filter.$and = [{ status: { $ne: TaskStatusEnum.DONE } }];
+  }
+
+  return filter;
+};
+
+//! Priority sorts by its rank, not alphabetically
+const toTaskSort = (sort) => {
+  return sort
+    ?.split(",")
+    .map((field) => field.replace(/^(-?)priority$/, "$1priorityRank"))
+    .join(",");
+};
+
+//! Get tasks of a project, filtered and cursor paginated
+const getTasks = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { sort, cursor } = req.query;
+  const limit = Number(req.query.limit) || 20;
+
+  const sortEntries = parseSort(toTaskSort(sort));
+
+  const { items, hasMore, nextCursor } = await paginateWithCursor(Task, {
+    filter: buildTaskFilter(projectId, req.query),
+    sortEntries,
+    cursor,
+    limit,
+    populate: [
+      { path: "assignedTo", select: "username fullName avatar" },
+      { path: "createdBy", select: "username fullName avatar" },
+    ],
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { tasks: items, nextCursor, hasMore, limit },
+        "Tasks fetched successfully.",
+      ),
+    );
+});
+
+//! Get task by id
+const getTaskById = asyncHandler(async (req, res) => {
+  const { projectId, taskId } = req.params;
+
+  const task = await findProjectTask(projectId, taskId);
+
+  await task.populate([
+    { path: "assignedTo", select: "username fullName avatar" },
+    { path: "assignedBy", select: "username fullName avatar" },
+  ]);
+
+  const subTasks = await SubTask.find({ task: task._id })
+    .populate("createdBy", "username fullName avatar")
+    .sort({ createdAt: 1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...task.toObject(), subTasks },
+        "Task fetched successfully.",
+      ),
+    );
+});
+
+//! Create task
+const createTask = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { title, description, assignedTo, status, dueDate, priority } =
+    req.body;
+
+  await validateAssignee(projectId, assignedTo);
+
+  const task = await Task.create({
+    title,
+    description,
+    project: projectId,
+    assignedTo: assignedTo || undefined,
+    assignedBy: req.user._id,
+    createdBy: req.user._id,
+    status,
+    dueDate: dueDate || undefined,
+    priority,
+  });
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.TASK,
+    entityId: task._id,
+    action: ActivityActionEnum.CREATED,
+    after: {
+      title: task.title,
+      assignedTo: task.assignedTo,
+      status: task.status,
+      dueDate: task.dueDate,
+      priority: task.priority,
+    },
+  });
+
+  await notifyAssignee(req, task);
+
+  await dispatchWebhookEvent(projectId, WebhookEventEnum.TASK_CREATED, task);
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.TASK_CREATED,
+    task,
+    req.user._id,
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, task, "Task created successfully."));
+});
+
+//! Update task
+const updateTask = asyncHandler(async (req, res) => {
+  const { projectId, taskId } = req.params;
+  const { title, description, assignedTo, status, dueDate, priority } =
+    req.body;
+
+  const task = await findProjectTask(projectId, taskId);
+  const previousTask = task.toObject();
+
+  if (
+    assignedTo !== undefined &&
+    String(assignedTo) !== String(task.assignedTo)
+  ) {
+    await validateAssignee(projectId, assignedTo);
+    task.assignedTo = assignedTo || undefined;
+    task.assignedBy = req.user._id;
+  }
+
+  if (title !== undefined) task.title = title;
+  if (description !== undefined) task.description = description;
+  if (status !== undefined) task.status = status;
+  if (priority !== undefined) task.priority = priority;
+  // an empty due date removes it
+  if (dueDate !== undefined) task.dueDate = dueDate || undefined;
+
+  await task.save();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.TASK,
+    entityId: task._id,
+    action:
+      previousTask.status !== task.status
+        ? ActivityActionEnum.STATUS_CHANGED
+        : ActivityActionEnum.UPDATED,
+    before: previousTask,
+    after: task,
+  });
+
+  const isReassigned =
+    String(previousTask.assignedTo) !== String(task.assignedTo);
+
+  if (isReassigned) {
+    await notifyAssignee(req, task);
+  }
+
+  // a new assignee already learns the status from the assignment
+  if (previousTask.status !== task.status && !isReassigned) {
+    await notify(req, {
+      recipient: task.assignedTo,
+      type: NotificationTypeEnum.STATUS_CHANGE,
+      title: `"${task.title}" was moved to ${task.status}`,
+      message: `${req.user.username} changed the status from ${previousTask.status} to ${task.status}.`,
+      link: getTaskLink(task),
+      project: task.project,
+      task: task._id,
+    });
+  }
+
+  await dispatchWebhookEvent(projectId, WebhookEventEnum.TASK_UPDATED, task);
+
+  if (previousTask.status !== task.status) {
+    await dispatchWebhookEvent(
+      projectId,
+      WebhookEventEnum.TASK_STATUS_CHANGED,
+      { task, previousStatus: previousTask.status, status: task.status },
+    );
+  }
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.TASK_UPDATED,
+    task,
+    req.user._id,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, task, "Task updated successfully."));
+});
+
+//! Delete task
+const deleteTask = asyncHandler(async (req, res) => {
+  const { projectId, taskId } = req.params;
+
+  const task = await findProjectTask(projectId, taskId);
+
+  await SubTask.deleteMany({ task: task._id });
+  await Comment.deleteMany({ task: task._id });
+  await task.deleteOne();
+
+  await Promise.all(
+    task.attachments.map((attachment) => removeLocalFile(attachment.localPath)),
+  );
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.TASK,
+    entityId: task._id,
+    action: ActivityActionEnum.DELETED,
+    before: {
+      title: task.title,
+      description: task.description,
+      assignedTo: task.assignedTo,
+      status: task.status,
+    },
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.TASK_DELETED,
+    { _id: task._id },
+    req.user._id,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, task, "Task deleted successfully."));
+});
+
+//! Create subtask
+const createSubTask = asyncHandler(async (req, res) => {
+  const { projectId, taskId } = req.params;
+  const { title } = req.body;
+
+  const task = await findProjectTask(projectId, taskId);
+
+  const subTask = await SubTask.create({
+    title,
+    task: task._id,
+    createdBy: req.user._id,
+  });
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.SUBTASK,
+    entityId: subTask._id,
+    action: ActivityActionEnum.CREATED,
+    after: { task: task._id, title: subTask.title },
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.SUBTASK_CREATED,
+    subTask,
+    req.user._id,
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, subTask, "Subtask created successfully."));
+});
+
+//! Update subtask
+const updateSubTask = asyncHandler(async (req, res) => {
+  const { projectId, subTaskId } = req.params;
+  const { title, isCompleted } = req.body;
+
+  const subTask = await findProjectSubTask(projectId, subTaskId);
+
+  // members may only toggle the completion flag
+  if (title !== undefined && req.projectMember?.role === UserRolesEnum.MEMBER) {
+    throw new ApiError(403, "Members can only update subtask completion!");
+  }
+
+  const previousSubTask = subTask.toObject();
+
+  if (title !== undefined) subTask.title = title;
+  if (isCompleted !== undefined) subTask.isCompleted = isCompleted;
+
+  await subTask.save();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.SUBTASK,
+    entityId: subTask._id,
+    action: ActivityActionEnum.UPDATED,
+    before: previousSubTask,
+    after: subTask,
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.SUBTASK_UPDATED,
+    subTask,
+    req.user._id,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, subTask, "Subtask updated successfully."));
+});
+
+//! Delete subtask
+const deleteSubTask = asyncHandler(async (req, res) => {
+  const { projectId, subTaskId } = req.params;
+
+  const subTask = await findProjectSubTask(projectId, subTaskId);
+
+  await subTask.deleteOne();
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.SUBTASK,
+    entityId: subTask._id,
+    action: ActivityActionEnum.DELETED,
+    before: { task: subTask.task, title: subTask.title },
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.SUBTASK_DELETED,
+    { _id: subTask._id, task: subTask.task },
+    req.user._id,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, subTask, "Subtask deleted successfully."));
+});
+
+//! Upload task attachments
+const uploadTaskAttachments = asyncHandler(async (req, res) => {
+  const { projectId, taskId } = req.params;
+  const files = req.files || [];
+
+  try {
+    if (!files.length) {
+      throw new ApiError(400, "No attachments were uploaded!");
+    }
+
+    const task = await findProjectTask(projectId, taskId);
+
+    const attachments = files.map((file) => {
+      const _id = new mongoose.Types.ObjectId();
+
+      return {
+        _id,
+        // the guarded download route, the file itself is not public
+        url: `${req.protocol}://${req.get("host")}${req.baseUrl}/${projectId}/t/${task._id}/attachments/${_id}`,
+        localPath: file.path,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        uploadedBy: req.user._id,
+      };
+    });
+
+    task.attachments.push(...attachments);
+    await task.save();
+
+    const createdAttachments = task.attachments.slice(-attachments.length);
+
+    await Promise.all(
+      createdAttachments.map((attachment) =>
+        logActivity(req, {
+          project: projectId,
+          entityType: ActivityEntityEnum.ATTACHMENT,
+          entityId: attachment._id,
+          action: ActivityActionEnum.CREATED,
+          after: {
+            task: task._id,
+            originalName: attachment.originalName,
+            mimetype: attachment.mimetype,
+            size: attachment.size,
+          },
+        }),
+      ),
+    );
+
+    // attachments are part of the task
+    publishProjectEvent(
+      projectId,
+      RealtimeEventEnum.TASK_UPDATED,
+      task,
+      req.user._id,
+    );
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          createdAttachments,
+          "Attachments uploaded successfully.",
+        ),
+      );
+  } catch (error) {
+    // nothing references the stored files anymore
+    await Promise.all(files.map((file) => removeLocalFile(file.path)));
+    throw error;
+  }
+});
+
+//! Get task attachments
+const getTaskAttachments = asyncHandler(async (req, res) => {
+  const { projectId, taskId } = req.params;
+
+  const task = await findProjectTask(projectId, taskId);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        task.attachments,
+        "Attachments fetched successfully.",
+      ),
+    );
+});
+
+//! Find an attachment of a task
+const findTaskAttachment = (task, attachmentId) => {
+  const attachment = mongoose.isValidObjectId(attachmentId)
+    ? task.attachments.id(attachmentId)
+    : null;
+
+  if (!attachment) {
+    throw new ApiError(404, "Attachment not found!");
+  }
+
+  return attachment;
+};
+
+//! Download task attachment
+const downloadTaskAttachment = asyncHandler(async (req, res, next) => {
+  const { projectId, taskId, attachmentId } = req.params;
+
+  const task = await findProjectTask(projectId, taskId);
+  const attachment = findTaskAttachment(task, attachmentId);
+
+  return res.download(
+    attachment.localPath,
+    attachment.originalName || undefined,
+    { root: process.cwd() },
+    (err) => {
+      if (err && !res.headersSent) {
+        next(new ApiError(404, "Attachment file is missing!"));
+      }
+    },
+  );
+});
+
+//! Delete task attachment
+const deleteTaskAttachment = asyncHandler(async (req, res) => {
+  const { projectId, taskId, attachmentId } = req.params;
+
+  const task = await findProjectTask(projectId, taskId);
+  const attachment = findTaskAttachment(task, attachmentId);
+
+  attachment.deleteOne();
+  await task.save();
+
+  await removeLocalFile(attachment.localPath);
+
+  await logActivity(req, {
+    project: projectId,
+    entityType: ActivityEntityEnum.ATTACHMENT,
+    entityId: attachment._id,
+    action: ActivityActionEnum.DELETED,
+    before: {
+      task: task._id,
+      originalName: attachment.originalName,
+      mimetype: attachment.mimetype,
+      size: attachment.size,
+    },
+  });
+
+  publishProjectEvent(
+    projectId,
+    RealtimeEventEnum.TASK_UPDATED,
+    task,
+    req.user._id,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, attachment, "Attachment deleted successfully."));
+});
+
+export {
+  findProjectTask,
+  getTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  deleteTask,
+  createSubTask,
+  updateSubTask,
+  deleteSubTask,
+  uploadTaskAttachments,
+  getTaskAttachments,
+  downloadTaskAttachment,
+  deleteTaskAttachment,
+};
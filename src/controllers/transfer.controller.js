@@ -0,0 +1,464 @@
+import { User } from "../models/user.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Task } from "../models/task.models.js";
+import { SubTask } from "../models/subtask.models.js";
+import { Note } from "../models/note.models.js";
+import { Invitation } from "../models/invitation.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  ActivityActionEnum,
+  ActivityEntityEnum,
+  AvailableTaskPriority,
+  TaskPriorityEnum,
+  TaskStatusEnum,
+  UserRolesEnum,
+} from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { toCsv } from "../utils/csv.js";
+import { sendProjectInvitation } from "./invitation.controller.js";
+
+const EXPORT_FORMAT = "project-camp/project";
+const EXPORT_VERSION = 1;
+
+//! Map user ids to { email, username } for the export
+const getUsersById = async (userIds) => {
+  const users = await User.find({
+    _id: { $in: [...new Set(userIds.filter(Boolean).map(String))] },
+  }).select("email username");
+
+  return new Map(users.map((user) => [String(user._id), user]));
+};
+
+//! Load everything a project export needs
+const loadProjectData = async (projectId) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new ApiError(404, "Project not found!");
+  }
+
+  const [members, tasks, notes] = await Promise.all([
+    ProjectMember.find({ project: projectId }).sort({ createdAt: 1 }),
+    Task.find({ project: projectId }).sort({ createdAt: 1 }),
+    Note.find({ project: projectId }).sort({ createdAt: 1 }),
+  ]);
+
+  const subTasks = await SubTask.find({
+    task: { $in: tasks.map((task) => task._id) },
+  }).sort({ createdAt: 1 });
+
+  const usersById = await getUsersById([
+    project.createdBy,
+    ...members.map((member) => member.user),
+    ...tasks.flatMap((task) => [
+      task.assignedTo,
+      task.assignedBy,
+      task.createdBy,
+      ...task.attachments.map((attachment) => attachment.uploadedBy),
+    ]),
+    ...subTasks.map((subTask) => subTask.createdBy),
+    ...notes.map((note) => note.createdBy),
+  ]);
+
+  return { project, members, tasks, subTasks, notes, usersById };
+};
+
+//! Export a project as a versioned JSON document
+const exportProject = asyncHandler(async (req, res) => {
+  const { project, members, tasks, subTasks, notes, usersById } =
+    await loadProjectData(req.params.projectId);
+
+  const emailOf = (userId) => usersById.get(String(userId))?.email;
+
+  const document = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: {
+      name: project.name,
+      description: project.description,
+      createdBy: emailOf(project.createdBy),
+      createdAt: project.createdAt,
+    },
+    members: members
+      .filter((member) => usersById.has(String(member.user)))
+      .map((member) => ({
+        email: emailOf(member.user),
+        username: usersById.get(String(member.user)).username,
+        role: member.role,
+        joinedAt: member.createdAt,
+      })),
+    tasks: tasks.map((task) => ({
+      title: task.title,
+      description: task.description,
+      status: task.status,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      completedAt: task.completedAt,
+      assignedTo: emailOf(task.assignedTo),
+      assignedBy: emailOf(task.assignedBy),
+      createdBy: emailOf(task.createdBy),
+      createdAt: task.createdAt,
+      attachments: task.attachments.map((attachment) => ({
+        originalName: attachment.originalName,
+        mimetype: attachment.mimetype,
+        size: attachment.size,
+        url: attachment.url,
+        uploadedBy: emailOf(attachment.uploadedBy),
+        createdAt: attachment.createdAt,
+      })),
+      subTasks: subTasks
+        .filter((subTask) => String(subTask.task) === String(task._id))
+        .map((subTask) => ({
+          title: subTask.title,
+          isCompleted: subTask.isCompleted,
+          createdBy: emailOf(subTask.createdBy),
+          createdAt: subTask.createdAt,
+        })),
+    })),
+    notes: notes.map((note) => ({
+      title: note.title,
+      content: note.content,
+      createdBy: emailOf(note.createdBy),
+      createdAt: note.createdAt,
+    })),
+  };
+
+  return res
+    .status(200)
+    .attachment(`project-${project._id}.json`)
+    .json(document);
+});
+
+//! Export the tasks of a project as CSV
+const exportProjectTasksCsv = asyncHandler(async (req, res) => {
+  const { project, tasks, subTasks, usersById } = await loadProjectData(
+    req.params.projectId,
+  );
+
+  const userOf = (userId) => usersById.get(String(userId));
+  const subTasksOf = (task) =>
+    subTasks.filter((subTask) => String(subTask.task) === String(task._id));
+
+  const csv = toCsv(tasks, [
+    { header: "id", value: (task) => task._id },
+    { header: "title", value: (task) => task.title },
+    { header: "description", value: (task) => task.description },
+    { header: "status", value: (task) => task.status },
+    { header: "priority", value: (task) => task.priority },
+    { header: "dueDate", value: (task) => task.dueDate },
+    { header: "overdue", value: (task) => task.isOverdue },
+    {
+      header: "assigneeEmail",
+      value: (task) => userOf(task.assignedTo)?.email,
+    },
+    {
+      header: "assigneeUsername",
+      value: (task) => userOf(task.assignedTo)?.username,
+    },
+    { header: "createdBy", value: (task) => userOf(task.createdBy)?.email },
+    { header: "subtasks", value: (task) => subTasksOf(task).length },
+    {
+      header: "subtasksCompleted",
+      value: (task) =>
+        subTasksOf(task).filter((subTask) => subTask.isCompleted).length,
+    },
+    { header: "attachments", value: (task) => task.attachments.length },
+    { header: "createdAt", value: (task) => task.createdAt },
+    { header: "updatedAt", value: (task) => task.updatedAt },
+    { header: "completedAt", value: (task) => task.completedAt },
+  ]);
+
+  return res
+    .status(200)
+    .attachment(`project-${project._id}-tasks.csv`)
+    .type("text/csv")
+    .send(csv);
+});
+
+//! Read the export document from the uploaded file or the json body
+const readImportDocument = (req) => {
+  if (!req.file) return req.body;
+
+  try {
+    return JSON.parse(req.file.buffer.toString("utf8"));
+  } catch (error) {
+    throw new ApiError(400, "Import file is not valid JSON!", [
+      { file: error.message },
+    ]);
+  }
+};
+
+//! Collect mongoose validation errors under a path prefix
+const collectErrors = (errors, prefix, doc) => {
+  const validationError = doc.validateSync();
+
+  if (!validationError) return;
+
+  for (const [path, error] of Object.entries(validationError.errors)) {
+    errors.push({ [`${prefix}.${path}`]: error.message });
+  }
+};
+
+//! Import a project from an export document
+// everything is built and validated in memory first so nothing is
+// written when any part of the document is invalid
+const importProject = asyncHandler(async (req, res) => {
+  const document = readImportDocument(req);
+  const dryRun = req.query.dryRun === "true";
+  const errors = [];
+
+  if (document?.format !== EXPORT_FORMAT) {
+    errors.push({ format: `Format must be ${EXPORT_FORMAT}!` });
+  }
+
+  if (document?.version !== EXPORT_VERSION) {
+    errors.push({
+      version: `Unsupported export version, expected ${EXPORT_VERSION}!`,
+    });
+  }
+
+  for (const key of ["members", "tasks", "notes"]) {
+    if (document?.[key] !== undefined && !Array.isArray(document[key])) {
+      errors.push({ [key]: `${key} must be an array!` });
+    }
+  }
+
+  if (errors.length) {
+    throw new ApiError(422, "Import data is not valid", errors);
+  }
+
+  const {
+    project: projectData = {},
+    members = [],
+    tasks = [],
+    notes = [],
+  } = document;
+
+  // a different name can be given when the original one is taken
+  const name = (req.query.name || projectData.name || "").trim();
+
+  if (name && (await Project.exists({ name, createdBy: req.user._id }))) {
+    errors.push({
+      "project.name": "You already have a project with this name!",
+    });
+  }
+
+  // users are matched by email, ids differ between environments
+  const normalizeEmail = (email) =>
+    typeof email === "string" ? email.trim().toLowerCase() : undefined;
+
+  const emails = [
+    ...members.map((member) => member?.email),
+    ...tasks.flatMap((task) => [
+      task?.assignedTo,
+      task?.assignedBy,
+      task?.createdBy,
+      ...(Array.isArray(task?.subTasks) ? task.subTasks : []).map(
+        (subTask) => subTask?.createdBy,
+      ),
+    ]),
+    ...notes.map((note) => note?.createdBy),
+  ]
+    .map(normalizeEmail)
+    .filter(Boolean);
+
+  const users = await User.find({ email: { $in: [...new Set(emails)] } })
+    .select("email username")
+    .lean();
+  const usersByEmail = new Map(users.map((user) => [user.email, user]));
+  const unknownUsers = [...new Set(emails)]
+    .filter((email) => !usersByEmail.has(email))
+    .sort();
+
+  const project = new Project({
+    name,
+    description: projectData.description,
+    createdBy: req.user._id,
+  });
+  collectErrors(errors, "project", project);
+
+  // the importer always becomes an admin of the new project
+  const memberDocs = [
+    new ProjectMember({
+      user: req.user._id,
+      project: project._id,
+      role: UserRolesEnum.ADMIN,
+    }),
+  ];
+  const memberIds = new Set([String(req.user._id)]);
+
+  // the other members are invited, nobody joins a project without consent
+  const invitations = [];
+  const invitedEmails = new Set([req.user.email]);
+
+  members.forEach((member, index) => {
+    const email = normalizeEmail(member?.email);
+
+    if (invitedEmails.has(email)) return;
+
+    const invitationDoc = new Invitation({
+      project: project._id,
+      email,
+      role: member?.role,
+      invitedBy: req.user._id,
+    });
+    collectErrors(errors, `members[${index}]`, invitationDoc);
+
+    invitedEmails.add(email);
+    invitations.push({
+      email: invitationDoc.email,
+      role: invitationDoc.role,
+      existedUser: usersByEmail.get(email),
+    });
+  });
+
+  // authors fall back to the importer when they have no account here
+  const authorOf = (email) =>
+    usersByEmail.get(normalizeEmail(email))?._id || req.user._id;
+  // assignees must be members, otherwise the task is left unassigned
+  const assigneeOf = (email) => {
+    const user = usersByEmail.get(normalizeEmail(email));
+    return user && memberIds.has(String(user._id)) ? user._id : undefined;
+  };
+
+  const taskDocs = [];
+  const subTaskDocs = [];
+  let skippedAttachments = 0;
+  let unassignedTasks = 0;
+
+  tasks.forEach((task, index) => {
+    const priority = task?.priority || TaskPriorityEnum.MEDIUM;
+    const status = task?.status || TaskStatusEnum.TODO;
+
+    const taskDoc = new Task({
+      title: task?.title,
+      description: task?.description,
+      project: project._id,
+      status,
+      priority,
+      priorityRank: AvailableTaskPriority.indexOf(priority),
+      dueDate: task?.dueDate || undefined,
+      completedAt:
+        status === TaskStatusEnum.DONE
+          ? task?.completedAt || Date.now()
+          : undefined,
+      assignedTo: assigneeOf(task?.assignedTo),
+      assignedBy: authorOf(task?.assignedBy),
+      createdBy: authorOf(task?.createdBy),
+      createdAt: task?.createdAt || undefined,
+    });
+    collectErrors(errors, `tasks[${index}]`, taskDoc);
+    taskDocs.push(taskDoc);
+
+    if (task?.assignedTo && !taskDoc.assignedTo) unassignedTasks++;
+
+    // the export only has attachment metadata, not the files
+    skippedAttachments += Array.isArray(task?.attachments)
+      ? task.attachments.length
+      : 0;
+
+    if (task?.subTasks !== undefined && !Array.isArray(task.subTasks)) {
+      errors.push({
+        [`tasks[${index}].subTasks`]: "subTasks must be an array!",
+      });
+      return;
+    }
+
+    (task?.subTasks || []).forEach((subTask, subTaskIndex) => {
+      const subTaskDoc = new SubTask({
+        title: subTask?.title,
+        task: taskDoc._id,
+        isCompleted: subTask?.isCompleted,
+        createdBy: authorOf(subTask?.createdBy),
+        createdAt: subTask?.createdAt || undefined,
+      });
+      collectErrors(
+        errors,
+        `tasks[${index}].subTasks[${subTaskIndex}]`,
+        subTaskDoc,
+      );
+      subTaskDocs.push(subTaskDoc);
+    });
+  });
+
+  const noteDocs = notes.map((note, index) => {
+    const noteDoc = new Note({
+      title: note?.title,
+      content: note?.content,
+      project: project._id,
+      createdBy: authorOf(note?.createdBy),
+      createdAt: note?.createdAt || undefined,
+    });
+    collectErrors(errors, `notes[${index}]`, noteDoc);
+    return noteDoc;
+  });
+
+  if (errors.length) {
+    throw new ApiError(422, "Import data is not valid", errors);
+  }
+
+  const summary = {
+    project: { _id: project._id, name: project.name },
+    members: memberDocs.length,
+    invitedMembers: invitations.map(({ email, role }) => ({ email, role })),
+    tasks: taskDocs.length,
+    subTasks: subTaskDocs.length,
+    notes: noteDocs.length,
+    skippedAttachments,
+    unassignedTasks,
+    unknownUsers,
+    dryRun,
+  };
+
+  if (dryRun) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, summary, "Import data is valid."));
+  }
+
+  try {
+    await project.save();
+    await ProjectMember.insertMany(memberDocs);
+    await Task.insertMany(taskDocs);
+    await SubTask.insertMany(subTaskDocs);
+    await Note.insertMany(noteDocs);
+
+    for (const invitation of invitations) {
+      await sendProjectInvitation(req, project, invitation);
+    }
+  } catch (error) {
+    // undo the partial import, standalone mongo has no transactions
+    await Promise.all([
+      SubTask.deleteMany({ task: { $in: taskDocs.map((task) => task._id) } }),
+      Task.deleteMany({ project: project._id }),
+      Note.deleteMany({ project: project._id }),
+      ProjectMember.deleteMany({ project: project._id }),
+      Invitation.deleteMany({ project: project._id }),
+      Project.deleteOne({ _id: project._id }),
+    ]);
+    throw error;
+  }
+
+  await logActivity(req, {
+    project: project._id,
+    entityType: ActivityEntityEnum.PROJECT,
+    entityId: project._id,
+    action: ActivityActionEnum.CREATED,
+    after: {
+      name: project.name,
+      description: project.description,
+      importedTasks: taskDocs.length,
+      importedNotes: noteDocs.length,
+    },
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, summary, "Project imported successfully."));
+});
+
+export { exportProject, exportProjectTasksCsv, importProject };
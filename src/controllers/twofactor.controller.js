@@ -0,0 +1,130 @@
+import { User } from "../models/user.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { ActivityActionEnum, ActivityEntityEnum } from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import {
+  generateTotpSecret,
+  getOtpauthUrl,
+  verifyTotp,
+} from "../utils/totp.js";
+
+//! Start two factor enrollment
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two factor authentication is already enabled!");
+  }
+
+  const secret = generateTotpSecret();
+
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = getOtpauthUrl({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || "Project-Management",
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUrl },
+        "Scan the code with your authenticator app and confirm it.",
+      ),
+    );
+});
+
+//! Confirm two factor enrollment with a first code
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorPendingSecret",
+  );
+
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two factor authentication is already enabled!");
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError(400, "Two factor enrollment has not been started!");
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+
+  if (step === null) {
+    throw new ApiError(400, "Invalid two factor code!");
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabled = true;
+  await user.save({ validateBeforeSave: false });
+
+  await logActivity(req, {
+    entityType: ActivityEntityEnum.USER,
+    entityId: user._id,
+    action: ActivityActionEnum.TWO_FACTOR_ENABLED,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { twoFactorEnabled: true, recoveryCodes },
+        "Two factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once.",
+      ),
+    );
+});
+
+//! Disable two factor authentication
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  const isPasswordValid = await user.isPasswordCorrect(password);
+
+  if (!isPasswordValid) {
+    throw new ApiError(400, "Invalid password!");
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiError(409, "Two factor authentication is not enabled!");
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await logActivity(req, {
+    entityType: ActivityEntityEnum.USER,
+    entityId: user._id,
+    action: ActivityActionEnum.TWO_FACTOR_DISABLED,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { twoFactorEnabled: false },
+        "Two factor authentication disabled.",
+      ),
+    );
+});
+
+export { enrollTwoFactor, confirmTwoFactor, disableTwoFactor };
@@ -0,0 +1,472 @@
+import crypto from "crypto";
+import { User } from "../models/user.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Task } from "../models/task.models.js";
+import { Notification } from "../models/notification.models.js";
+import { Session } from "../models/session.models.js";
+import { PersonalToken } from "../models/personaltoken.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  ActivityActionEnum,
+  ActivityEntityEnum,
+  TaskStatusEnum,
+  UserRolesEnum,
+} from "../utils/constants.js";
+import { logActivity } from "../utils/activity.js";
+import { emailChangeMail, emailChangedMail, sendEmail } from "../utils/mail.js";
+import {
+  getLocalPath,
+  getStaticFilePath,
+  removeLocalFile,
+} from "../utils/file-storage.js";
+import {
+  closeUserSockets,
+  unsubscribeUserFromProject,
+} from "../utils/realtime.js";
+
+const SAFE_USER_FIELDS =
+  "-password -emailVarificationToken -emailVarificationExpiry -unlockToken -unlockExpiry";
+
+const DEFAULT_AVATAR = {
+  url: `https://placehold.co/200x200`,
+  localPath: "",
+};
+
+//! Record a change on the account
+const logUserActivity = (req, user, action, before, after) => {
+  return logActivity(req, {
+    actor: user._id,
+    entityType: ActivityEntityEnum.USER,
+    entityId: user._id,
+    action,
+    before,
+    after,
+  });
+};
+
+//! Update profile details
+const updateProfile = asyncHandler(async (req, res) => {
+  const { fullName } = req.body;
+
+  const user = await User.findById(req.user._id).select(SAFE_USER_FIELDS);
+  const before = { fullName: user.fullName };
+
+  user.fullName = fullName;
+  await user.save({ validateBeforeSave: false });
+
+  await logUserActivity(req, user, ActivityActionEnum.PROFILE_UPDATED, before, {
+    fullName: user.fullName,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Profile updated successfully."));
+});
+
+//! Update avatar
+const updateAvatar = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, "No avatar was uploaded!");
+  }
+
+  const localPath = getLocalPath(req.file.filename);
+
+  try {
+    const user = await User.findById(req.user._id).select(SAFE_USER_FIELDS);
+    const previousLocalPath = user.avatar?.localPath;
+
+    user.avatar = {
+      url: getStaticFilePath(req, req.file.filename),
+      localPath,
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await removeLocalFile(previousLocalPath);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, user, "Avatar updated successfully."));
+  } catch (error) {
+    // nothing references the stored file anymore
+    await removeLocalFile(localPath);
+    throw error;
+  }
+});
+
+//! Remove avatar
+const removeAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SAFE_USER_FIELDS);
+  const previousLocalPath = user.avatar?.localPath;
+
+  user.avatar = DEFAULT_AVATAR;
+  await user.save({ validateBeforeSave: false });
+
+  await removeLocalFile(previousLocalPath);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Avatar removed successfully."));
+});
+
+//! Change username
+const changeUsername = asyncHandler(async (req, res) => {
+  const { username } = req.body;
+
+  const user = await User.findById(req.user._id).select(SAFE_USER_FIELDS);
+
+  if (user.username === username) {
+    throw new ApiError(400, "This is already your username!");
+  }
+
+  const existedUser = await User.exists({ username });
+
+  if (existedUser) {
+    throw new ApiError(409, "Username already exists", [
+      { username: "username already exists" },
+    ]);
+  }
+
+  const before = { username: user.username };
+
+  // the unique index still rejects a username taken in the meantime
+  user.username = username;
+  await user.save({ validateBeforeSave: false });
+
+  await logUserActivity(
+    req,
+    user,
+    ActivityActionEnum.USERNAME_CHANGED,
+    before,
+    { username },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Username changed successfully."));
+});
+
+//! Request an email change, the new email has to be verified first
+const requestEmailChange = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  const newEmail = email.toLowerCase();
+
+  const user = await User.findById(req.user._id);
+
+  const isPasswordValid = await user.isPasswordCorrect(password);
+
+  if (!isPasswordValid) {
+    throw new ApiError(400, "Invalid password!");
+  }
+
+  if (user.email === newEmail) {
+    throw new ApiError(400, "This is already your email!");
+  }
+
+  const existedUser = await User.exists({ email: newEmail });
+
+  if (existedUser) {
+    throw new ApiError(409, "User email already exists", [
+      { email: "email already exists" },
+    ]);
+  }
+
+  const { unHashedToken, hashedToken, tokenExpiry } =
+    user.generateTemoporaryToken();
+
+  user.pendingEmail = newEmail;
+  user.pendingEmailToken = hashedToken;
+  user.pendingEmailExpiry = tokenExpiry;
+
+  await user.save({ validateBeforeSave: false });
+
+  const mailResult = await sendEmail({
+    email: newEmail,
+    subject: "Please confirm your new email.",
+    mailgenContent: emailChangeMail(
+      user.username,
+      newEmail,
+      `${req.protocol}://${req.get("host")}/api/v1/users/verify-email-change/${unHashedToken}`,
+    ),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { pendingEmail: newEmail, emailSent: mailResult.sent },
+        mailResult.sent
+          ? "A confirmation mail has been sent to your new email."
+          : "The confirmation mail could not be sent yet, it will be retried.",
+      ),
+    );
+});
+
+//! Verify email change
+const verifyEmailChange = asyncHandler(async (req, res) => {
+  const { verificationToken } = req.params;
+
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  const user = await User.findOne({
+    pendingEmailToken: hashedToken,
+    pendingEmailExpiry: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw new ApiError(400, "Token is invalid or expired!");
+  }
+
+  // someone may have registered the address after the request
+  const existedUser = await User.exists({
+    email: user.pendingEmail,
+    _id: { $ne: user._id },
+  });
+
+  if (existedUser) {
+    throw new ApiError(409, "User email already exists", [
+      { email: "email already exists" },
+    ]);
+  }
+
+  const previousEmail = user.email;
+
+  user.email = user.pendingEmail;
+  user.isEmailVarified = true;
+  user.pendingEmail = undefined;
+  user.pendingEmailToken = undefined;
+  user.pendingEmailExpiry = undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  await logUserActivity(
+    req,
+    user,
+    ActivityActionEnum.EMAIL_CHANGED,
+    { email: previousEmail },
+    { email: user.email },
+  );
+
+  // the old address learns about the change in case it was not the owner
+  await sendEmail({
+    email: previousEmail,
+    subject: "Your email has been changed",
+    mailgenContent: emailChangedMail(user.username, user.email),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { email: user.email },
+        "Email changed successfully!",
+      ),
+    );
+});
+
+//! Work out who takes over the projects the user is the only admin of
+const planProjectTransfers = async (userId, transfers = []) => {
+  const adminMemberships = await ProjectMember.find({
+    user: userId,
+    role: UserRolesEnum.ADMIN,
+  }).populate("project", "name createdBy");
+
+  const plannedTransfers = [];
+  const blockedProjects = [];
+
+  for (const membership of adminMemberships) {
+    const project = membership.project;
+    if (!project) continue;
+
+    const transfer = transfers.find(
+      (transfer) => String(transfer.project) === String(project._id),
+    );
+
+    if (transfer) {
+      const newAdmin =
+        String(transfer.user) !== String(userId)
+          ? await ProjectMember.findOne({
+              project: project._id,
+              user: transfer.user,
+            })
+          : null;
+
+      if (!newAdmin) {
+        blockedProjects.push({
+          [project._id]: `The new admin of ${project.name} must be another member of the project`,
+        });
+        continue;
+      }
+
+      // the new admin also becomes the creator, names are unique per creator
+      const nameTaken =
+        String(project.createdBy) === String(userId) &&
+        (await Project.exists({
+          createdBy: transfer.user,
+          name: project.name,
+        }));
+
+      if (nameTaken) {
+        blockedProjects.push({
+          [project._id]: `The new admin of ${project.name} already has a project with this name, rename it first`,
+        });
+        continue;
+      }
+
+      plannedTransfers.push({ project, newAdmin });
+      continue;
+    }
+
+    const otherAdmins = await ProjectMember.countDocuments({
+      project: project._id,
+      role: UserRolesEnum.ADMIN,
+      user: { $ne: userId },
+    });
+
+    if (!otherAdmins) {
+      blockedProjects.push({
+        [project._id]: `${project.name} has no other admin, transfer or delete it first`,
+      });
+    }
+  }
+
+  return { plannedTransfers, blockedProjects };
+};
+
+//! Delete account
+// the user document stays anonymized so tasks, comments and notes keep
+// resolving their author
+const deleteAccount = asyncHandler(async (req, res) => {
+  const { password, transfers } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  const isPasswordValid = await user.isPasswordCorrect(password);
+
+  if (!isPasswordValid) {
+    throw new ApiError(400, "Invalid password!");
+  }
+
+  const { plannedTransfers, blockedProjects } = await planProjectTransfers(
+    user._id,
+    transfers,
+  );
+
+  if (blockedProjects.length) {
+    throw new ApiError(
+      409,
+      "Transfer or delete the projects you are the only admin of first!",
+      blockedProjects,
+    );
+  }
+
+  for (const { project, newAdmin } of plannedTransfers) {
+    const before = { user: newAdmin.user, role: newAdmin.role };
+
+    newAdmin.role = UserRolesEnum.ADMIN;
+    await newAdmin.save();
+
+    if (String(project.createdBy) === String(user._id)) {
+      await Project.updateOne(
+        { _id: project._id },
+        { $set: { createdBy: newAdmin.user } },
+      );
+    }
+
+    await logActivity(req, {
+      project: project._id,
+      entityType: ActivityEntityEnum.MEMBER,
+      entityId: newAdmin.user,
+      action: ActivityActionEnum.ROLE_CHANGED,
+      before,
+      after: { user: newAdmin.user, role: newAdmin.role },
+    });
+  }
+
+  const memberships = await ProjectMember.find({ user: user._id });
+
+  await ProjectMember.deleteMany({ user: user._id });
+  await Task.updateMany(
+    { assignedTo: user._id, status: { $ne: TaskStatusEnum.DONE } },
+    { $unset: { assignedTo: 1 } },
+  );
+  await Notification.deleteMany({ recipient: user._id });
+  await Session.revokeAllForUser(user._id, "account_deleted");
+  closeUserSockets(user._id, { reason: "Account deleted" });
+  await PersonalToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { $set: { revokedAt: Date.now() } },
+  );
+
+  for (const membership of memberships) {
+    unsubscribeUserFromProject(membership.project, user._id, "removed");
+  }
+
+  await logUserActivity(req, user, ActivityActionEnum.ACCOUNT_DELETED);
+
+  const avatarLocalPath = user.avatar?.localPath;
+
+  user.username = `deleted-${user._id}`;
+  user.email = `deleted-${user._id}@deleted.invalid`;
+  user.fullName = "Deleted user";
+  user.avatar = DEFAULT_AVATAR;
+  user.password = crypto.randomBytes(32).toString("hex");
+  user.isEmailVarified = false;
+  user.deletedAt = Date.now();
+
+  user.twoFactorEnabled = false;
+
+  await user.save({ validateBeforeSave: false });
+
+  // tokens and secrets are not needed anymore, some are never selected
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $unset: {
+        forgotPasswordToken: 1,
+        forgotPasswordExpiry: 1,
+        emailVarificationToken: 1,
+        emailVarificationExpiry: 1,
+        unlockToken: 1,
+        unlockExpiry: 1,
+        pendingEmail: 1,
+        pendingEmailToken: 1,
+        pendingEmailExpiry: 1,
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    },
+  );
+
+  await removeLocalFile(avatarLocalPath);
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(new ApiResponse(200, {}, "Account deleted successfully."));
+});
+
+export {
+  updateProfile,
+  updateAvatar,
+  removeAvatar,
+  changeUsername,
+  requestEmailChange,
+  verifyEmailChange,
+  deleteAccount,
+};
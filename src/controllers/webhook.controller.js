@@ -0,0 +1,222 @@
+import mongoose from "mongoose";
+import { Webhook } from "../models/webhook.models.js";
+import { WebhookDelivery } from "../models/webhookdelivery.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  WEBHOOK_PING_EVENT,
+  WebhookDeliveryStatusEnum,
+} from "../utils/constants.js";
+import { deliverWebhook } from "../utils/webhook.js";
+
+//! Find a webhook that belongs to the project
+const findProjectWebhook = async (projectId, webhookId) => {
+  if (!mongoose.isValidObjectId(webhookId)) {
+    throw new ApiError(400, "Invalid webhook id!");
+  }
+
+  const webhook = await Webhook.findOne({ _id: webhookId, project: projectId });
+
+  if (!webhook) {
+    throw new ApiError(404, "Webhook not found!");
+  }
+
+  return webhook;
+};
+
+//! Register a webhook for the project
+const createWebhook = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { url, description, events } = req.body;
+
+  const secret = Webhook.generateSecret();
+
+  const webhook = await Webhook.create({
+    project: projectId,
+    url,
+    description,
+    events: [...new Set(events)],
+    secret,
+    createdBy: req.user._id,
+  });
+
+  // the secret is only shown once, receivers need it to verify signatures
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...webhook.toObject(), secret },
+        "Webhook created successfully.",
+      ),
+    );
+});
+
+//! Get webhooks of a project
+const getWebhooks = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const webhooks = await Webhook.find({ project: projectId })
+    .populate("createdBy", "username fullName avatar")
+    .sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, webhooks, "Webhooks fetched successfully."));
+});
+
+//! Get webhook by id
+const getWebhookById = asyncHandler(async (req, res) => {
+  const { projectId, webhookId } = req.params;
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, webhook, "Webhook fetched successfully."));
+});
+
+//! Update webhook
+const updateWebhook = asyncHandler(async (req, res) => {
+  const { projectId, webhookId } = req.params;
+  const { url, description, events, isActive, rotateSecret } = req.body;
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  if (url !== undefined) webhook.url = url;
+  if (description !== undefined) webhook.description = description;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+
+  if (isActive !== undefined && isActive !== webhook.isActive) {
+    webhook.isActive = isActive;
+
+    // re-enabling gives the endpoint a fresh start
+    if (isActive) {
+      webhook.consecutiveFailures = 0;
+      webhook.disabledAt = undefined;
+      webhook.disabledReason = undefined;
+    } else {
+      webhook.disabledAt = Date.now();
+      webhook.disabledReason = "Disabled by a project admin";
+    }
+  }
+
+  const secret = rotateSecret ? Webhook.generateSecret() : undefined;
+  if (secret) webhook.secret = secret;
+
+  await webhook.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...webhook.toObject(), secret },
+        "Webhook updated successfully.",
+      ),
+    );
+});
+
+//! Delete webhook
+const deleteWebhook = asyncHandler(async (req, res) => {
+  const { projectId, webhookId } = req.params;
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, webhook, "Webhook deleted successfully."));
+});
+
+//! Get the delivery log of a webhook
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { projectId, webhookId } = req.params;
+  const { status, event } = req.query;
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 20;
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  const filter = {
+    webhook: webhook._id,
+    ...(status && { status }),
+    ...(event && { event }),
+  };
+
+  const [deliveries, total] = await Promise.all([
+    // deliveries from older versions may still carry a responseBody
+    WebhookDelivery.find(filter)
+      .select("-responseBody")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        deliveries,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+      "Webhook deliveries fetched successfully.",
+    ),
+  );
+});
+
+//! Send a test ping to the webhook
+const pingWebhook = asyncHandler(async (req, res) => {
+  const { projectId, webhookId } = req.params;
+
+  const webhook = await findProjectWebhook(projectId, webhookId);
+
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    project: projectId,
+    event: WEBHOOK_PING_EVENT,
+    status: WebhookDeliveryStatusEnum.SENDING,
+    lockedAt: Date.now(),
+    maxAttempts: 1,
+  });
+
+  delivery.payload = {
+    id: String(delivery._id),
+    event: WEBHOOK_PING_EVENT,
+    project: String(projectId),
+    createdAt: new Date().toISOString(),
+    data: { webhook: String(webhook._id), sentBy: String(req.user._id) },
+  };
+
+  await delivery.save();
+
+  // pings also reach disabled webhooks so an admin can check a fix
+  const { delivered } = await deliverWebhook(delivery, { force: true });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        delivery,
+        delivered ? "Ping delivered successfully." : "Ping delivery failed.",
+      ),
+    );
+});
+
+export {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  pingWebhook,
+};
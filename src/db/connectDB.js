@@ -1,11 +1,17 @@
 import mongoose from "mongoose";
+import { Project } from "../models/project.models.js";
+import { logger } from "../utils/logger.js";
 
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI);
-    console.log("MongoDB connected!");
+    logger.info("MongoDB connected!");
+    // project names used to be unique across all users, this drops that index
+    await Project.syncIndexes().catch((error) =>
+      logger.error("Error while syncing project indexes", error),
+    );
   } catch (error) {
-    console.error("MongoDB connection ERROR", error);
+    logger.error("MongoDB connection ERROR", error);
     process.exit(1);
   }
 };
@@ -4,6 +4,12 @@ dotenv.config({
 });
 import app from "./app.js";
 import connectDB from "./db/connectDB.js";
+import { logger } from "./utils/logger.js";
+import { startMailWorker } from "./utils/mail-worker.js";
+import { startNotificationDigestWorker } from "./utils/notification.js";
+import { attachRealtimeServer } from "./utils/realtime.js";
+import { startTaskReminderWorker } from "./utils/task-reminders.js";
+import { startWebhookWorker } from "./utils/webhook.js";
 
 const port = process.env.PORT || 3000;
 
@@ -13,11 +19,16 @@ const port = process.env.PORT || 3000;
 
 connectDB()
   .then(() => {
-    app.listen(port, () => {
-      console.log(`App Listening on port http://localhost:${port}`);
+    startMailWorker();
+    startNotificationDigestWorker();
+    startTaskReminderWorker();
+    startWebhookWorker();
+    const server = app.listen(port, () => {
+      logger.info(`App Listening on port http://localhost:${port}`, { port });
     });
+    attachRealtimeServer(server);
   })
   .catch((err) => {
-    console.error("MongoDB connection error!", err);
+    logger.error("MongoDB connection error!", err);
     process.exit(1);
   });
@@ -1,13 +1,29 @@
+import mongoose from "mongoose";
 import { User } from "../models/user.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Session } from "../models/session.models.js";
+import { PersonalToken } from "../models/personaltoken.models.js";
 import { ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
 import jwt from "jsonwebtoken";
 
-export const verifyJWT = asyncHandler(async (req, res, next) => {
-  const token =
+// the access token comes from the cookie or the "Authorization: Bearer" header
+export const getAccessToken = (req) => {
+  return (
     req.cookies?.accessToken ||
-    req.header("Authorization")?.replace("Beared ", "");
+    req.headers?.authorization?.replace(/^Bearer\s+/i, "")
+  );
+};
+
+// personal access tokens are only accepted from the Authorization header
+const getPersonalToken = (req) => {
+  const token = req.headers?.authorization?.replace(/^Bearer\s+/i, "");
+  return token?.startsWith(PersonalToken.TOKEN_PREFIX) ? token : undefined;
+};
 
+// resolves the user and the active session behind an access token,
+// shared by verifyJWT and the realtime server
+export const authenticateAccessToken = async (token) => {
   if (!token) {
     throw new ApiError(401, "Unauthorzed request");
   }
@@ -15,16 +31,164 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
   try {
     const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
     const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken -emailVarificationToken -emailVarificationExpiry",
+      "-password -emailVarificationToken -emailVarificationExpiry -unlockToken -unlockExpiry",
     );
 
     if (!user) {
       throw new ApiError(401, "Invalid access token. !");
     }
 
-    req.user = user;
-    next();
+    // the session may have been revoked from another device
+    const session = await Session.findActiveById(decodedToken?.sid);
+
+    if (!session || String(session.user) !== String(user._id)) {
+      throw new ApiError(401, "Session is expired or revoked. !");
+    }
+
+    return { user, session, decodedToken };
   } catch (error) {
     throw new ApiError(401, "Invalid access token. !");
   }
+};
+
+export const verifyJWT = asyncHandler(async (req, res, next) => {
+  if (!req.cookies?.accessToken && getPersonalToken(req)) {
+    throw new ApiError(
+      403,
+      "Personal access tokens can not be used for this route!",
+    );
+  }
+
+  const { user, session } = await authenticateAccessToken(getAccessToken(req));
+
+  req.user = user;
+  req.sessionId = session._id;
+  next();
 });
+
+// like verifyJWT, but also accepts a personal access token that has the
+// read:<resource> scope (GET) or the write:<resource> scope (anything else),
+// the token is attached to req.personalToken
+export const verifyJWTOrPersonalToken = (resource) => {
+  const middleware = asyncHandler(async (req, res, next) => {
+    const token = getPersonalToken(req);
+
+    if (req.cookies?.accessToken || !token) {
+      return verifyJWT(req, res, next);
+    }
+
+    const personalToken = await PersonalToken.findActiveByToken(token);
+
+    if (!personalToken) {
+      throw new ApiError(401, "Personal access token is invalid or expired!");
+    }
+
+    const user = await User.findById(personalToken.user).select(
+      "-password -emailVarificationToken -emailVarificationExpiry -unlockToken -unlockExpiry",
+    );
+
+    if (!user || user.deletedAt) {
+      throw new ApiError(401, "Personal access token is invalid or expired!");
+    }
+
+    const action = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+
+    if (!personalToken.hasScope(action, resource)) {
+      throw new ApiError(
+        403,
+        `Personal access token is missing the ${action}:${resource} scope!`,
+      );
+    }
+
+    // one write a minute is enough to show when the token was last used
+    await PersonalToken.updateOne(
+      {
+        _id: personalToken._id,
+        $or: [
+          { lastUsedAt: null },
+          { lastUsedAt: { $lt: Date.now() - 60 * 1000 } },
+        ],
+      },
+      { $set: { lastUsedAt: Date.now(), lastUsedIp: req.ip } },
+    );
+
+    req.user = user;
+    req.personalToken = personalToken;
+    next();
+  });
+
+  // read by the OpenAPI generator
+  middleware.openapi = { personalTokenResource: resource };
+
+  return middleware;
+};
+
+// tokens restricted to some projects can not act outside of them
+export const rejectProjectRestrictedToken = (req, res, next) => {
+  if (req.personalToken?.projects.length) {
+    throw new ApiError(
+      403,
+      "Personal access tokens restricted to projects can not be used for this route!",
+    );
+  }
+
+  next();
+};
+
+// must run after verifyJWT, system admins are listed in ADMIN_EMAILS
+export const verifyAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !adminEmails.includes(req.user.email)) {
+    throw new ApiError(403, "Only admins can access this resource!");
+  }
+
+  next();
+};
+
+// must run after verifyJWT, resolves the caller's role for :projectId
+// and attaches the membership to req.projectMember
+export const validateProjectPermission = (roles = []) => {
+  const middleware = asyncHandler(async (req, res, next) => {
+    const { projectId } = req.params;
+
+    if (!projectId) {
+      throw new ApiError(400, "Project id is missing!");
+    }
+
+    if (!mongoose.isValidObjectId(projectId)) {
+      throw new ApiError(400, "Invalid project id!");
+    }
+
+    if (req.personalToken && !req.personalToken.allowsProject(projectId)) {
+      throw new ApiError(
+        403,
+        "Personal access token is not allowed for this project!",
+      );
+    }
+
+    const projectMember = await ProjectMember.findOne({
+      project: projectId,
+      user: req.user?._id,
+    });
+
+    if (!projectMember) {
+      throw new ApiError(403, "You are not a member of this project!");
+    }
+
+    if (roles.length && !roles.includes(projectMember.role)) {
+      throw new ApiError(403, "You are not allowed to perform this action!");
+    }
+
+    req.projectMember = projectMember;
+    next();
+  });
+
+  // read by the OpenAPI generator
+  middleware.openapi = { projectRoles: roles };
+
+  return middleware;
+};
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/api-error.js";
+import { logger } from "../utils/logger.js";
+
+// converts anything thrown by routes, mongoose, jsonwebtoken or express into an ApiError
+const normalizeError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((error) => ({
+      [error.path]: error.message,
+    }));
+    return new ApiError(422, "Recieved data is not valid", errors, err.stack);
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(
+      400,
+      `Invalid ${err.path}: ${err.value}`,
+      [{ [err.path]: `Invalid ${err.kind}` }],
+      err.stack,
+    );
+  }
+
+  if (err?.code === 11000) {
+    const errors = Object.keys(err.keyValue || {}).map((key) => ({
+      [key]: `${key} already exists`,
+    }));
+    return new ApiError(409, "Duplicate value", errors, err.stack);
+  }
+
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token is expired!", [], err.stack);
+  }
+
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Token is invalid!", [], err.stack);
+  }
+
+  // errors raised by express / body-parser carry their own status
+  const statusCode = err?.statusCode || err?.status;
+  if (statusCode >= 400 && statusCode < 500) {
+    return new ApiError(statusCode, err.message, [], err.stack);
+  }
+
+  return new ApiError(
+    500,
+    "Something Went Wrong",
+    [],
+    err?.stack || String(err),
+  );
+};
+
+const notFoundHandler = (req, res, next) => {
+  next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  if (error.statusCode >= 500) {
+    (req.log || logger).error("Unhandled error", { err });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: error.data,
+    message: error.message,
+    success: false,
+    errors: error.errors,
+    // lets support match a report to the log lines of the request
+    requestId: req.id,
+    ...(process.env.NODE_ENV !== "production" && { stack: error.stack }),
+  });
+};
+
+export { errorHandler, notFoundHandler };
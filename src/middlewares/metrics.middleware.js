@@ -0,0 +1,58 @@
+import { observeHttpRequest } from "../utils/metrics.js";
+
+// route layer -> full route pattern, e.g. "/api/v1/tasks/:projectId/t/:taskId"
+let routePatterns;
+
+// the router resets req.baseUrl before errors reach the error handler,
+// so the pattern is looked up from the mounted routers instead
+const getRoutePattern = (req) => {
+  const apiRoutes = req.app.get("apiRoutes") || [];
+
+  // rejected before a route matched, e.g. by router.use(verifyJWT)
+  if (!req.route) {
+    const mountPath = apiRoutes
+      .map(([mountPath]) => mountPath)
+      .find(
+        (mountPath) =>
+          req.originalUrl === mountPath ||
+          req.originalUrl.startsWith(`${mountPath}/`) ||
+          req.originalUrl.startsWith(`${mountPath}?`),
+      );
+
+    return mountPath ? `${mountPath}/*` : "unmatched";
+  }
+
+  if (!routePatterns) {
+    routePatterns = new Map();
+
+    for (const [mountPath, router] of apiRoutes) {
+      for (const layer of router.stack) {
+        if (!layer.route) continue;
+
+        routePatterns.set(
+          layer.route,
+          `${mountPath}${layer.route.path === "/" ? "" : layer.route.path}`,
+        );
+      }
+    }
+  }
+
+  return routePatterns.get(req.route) || `${req.baseUrl}${req.route.path}`;
+};
+
+// counts every request and its latency, labelled by route pattern so ids in
+// the url do not create new series
+export const collectHttpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    observeHttpRequest({
+      method: req.method,
+      route: getRoutePattern(req),
+      statusCode: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9,
+    });
+  });
+
+  next();
+};
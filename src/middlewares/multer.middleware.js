@@ -0,0 +1,235 @@
+import fs from "fs";
+import crypto from "crypto";
+import multer from "multer";
+import { ApiError } from "../utils/api-error.js";
+import {
+  ATTACHMENT_DIR,
+  AVATAR_DIR,
+  UPLOAD_DIR,
+  getLocalPath,
+  sanitizeFileName,
+} from "../utils/file-storage.js";
+
+// read per request, .env is loaded after the modules are imported
+const getMaxFileSizeMb = () => Number(process.env.MAX_ATTACHMENT_SIZE_MB) || 5;
+const getMaxAvatarSizeMb = () => Number(process.env.MAX_AVATAR_SIZE_MB) || 2;
+const MAX_FILE_COUNT = 10;
+
+const ALLOWED_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+// first bytes of every image type accepted as avatar
+const IMAGE_SIGNATURES = {
+  "image/jpeg": [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }],
+  "image/png": [
+    { offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  ],
+  "image/gif": [{ offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }],
+  "image/webp": [
+    { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] },
+    { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+  ],
+};
+
+const AVATAR_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+fs.mkdirSync(AVATAR_DIR, { recursive: true });
+fs.mkdirSync(ATTACHMENT_DIR, { recursive: true });
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, ATTACHMENT_DIR);
+  },
+  filename: function (req, file, cb) {
+    const prefix = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+    cb(null, `${prefix}-${sanitizeFileName(file.originalname)}`);
+  },
+});
+
+const fileFilter = (req, file, cb) => {
+  if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+    return cb(
+      new ApiError(415, `File type ${file.mimetype} is not allowed!`, [
+        { [file.fieldname]: file.originalname },
+      ]),
+    );
+  }
+  cb(null, true);
+};
+
+const upload = () =>
+  multer({
+    storage,
+    fileFilter,
+    limits: {
+      fileSize: getMaxFileSizeMb() * 1024 * 1024,
+      files: MAX_FILE_COUNT,
+    },
+  });
+
+// turns multer errors into ApiError for the client
+const toApiError = (err, maxFileSizeMb) => {
+  if (!(err instanceof multer.MulterError)) return err;
+
+  const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+  const message =
+    err.code === "LIMIT_FILE_SIZE"
+      ? `File is larger than ${maxFileSizeMb}MB!`
+      : err.message;
+
+  return new ApiError(statusCode, message, [{ [err.field]: err.code }]);
+};
+
+// wraps multer so its errors reach the client as ApiError
+const uploadAttachments = (fieldName = "attachments") => {
+  const middleware = (req, res, next) => {
+    const maxFileSizeMb = getMaxFileSizeMb();
+    const handler = upload().array(fieldName, MAX_FILE_COUNT);
+
+    handler(req, res, (err) => {
+      if (!err) return next();
+      next(toApiError(err, maxFileSizeMb));
+    });
+  };
+
+  // read by the OpenAPI generator
+  middleware.openapi = {
+    upload: {
+      fieldName,
+      maxCount: MAX_FILE_COUNT,
+      mimeTypes: ALLOWED_MIME_TYPES,
+    },
+  };
+
+  return middleware;
+};
+
+// a single json file kept in memory, used by the project import
+const uploadImportFile = (fieldName = "file") => {
+  const middleware = (req, res, next) => {
+    const maxFileSizeMb = Number(process.env.MAX_IMPORT_SIZE_MB) || 10;
+
+    const handler = multer({
+      storage: multer.memoryStorage(),
+      fileFilter: (req, file, cb) => {
+        if (file.mimetype !== "application/json") {
+          return cb(
+            new ApiError(415, "Import file must be a JSON file!", [
+              { [file.fieldname]: file.originalname },
+            ]),
+          );
+        }
+        cb(null, true);
+      },
+      limits: { fileSize: maxFileSizeMb * 1024 * 1024, files: 1 },
+    }).single(fieldName);
+
+    handler(req, res, (err) => {
+      if (!err) return next();
+      next(toApiError(err, maxFileSizeMb));
+    });
+  };
+
+  // read by the OpenAPI generator
+  middleware.openapi = {
+    upload: { fieldName, maxCount: 1, mimeTypes: ["application/json"] },
+  };
+
+  return middleware;
+};
+
+// checks the content, not only the mimetype the client claims
+const isImage = (buffer, mimetype) => {
+  return Boolean(
+    IMAGE_SIGNATURES[mimetype]?.every(({ offset, bytes }) =>
+      bytes.every((byte, index) => buffer[offset + index] === byte),
+    ),
+  );
+};
+
+// a single image kept in memory until its content is checked, then stored
+// under public/images/avatars as req.file.filename
+const uploadAvatar = (fieldName = "avatar") => {
+  const middleware = (req, res, next) => {
+    const maxFileSizeMb = getMaxAvatarSizeMb();
+
+    const handler = multer({
+      storage: multer.memoryStorage(),
+      fileFilter: (req, file, cb) => {
+        if (!AVATAR_EXTENSIONS[file.mimetype]) {
+          return cb(
+            new ApiError(
+              415,
+              "Avatar must be a JPEG, PNG, GIF or WEBP image!",
+              [{ [file.fieldname]: file.originalname }],
+            ),
+          );
+        }
+        cb(null, true);
+      },
+      limits: { fileSize: maxFileSizeMb * 1024 * 1024, files: 1 },
+    }).single(fieldName);
+
+    handler(req, res, async (err) => {
+      if (err) return next(toApiError(err, maxFileSizeMb));
+      if (!req.file) return next();
+
+      if (!isImage(req.file.buffer, req.file.mimetype)) {
+        return next(
+          new ApiError(415, "Avatar is not a valid image!", [
+            { [fieldName]: req.file.originalname },
+          ]),
+        );
+      }
+
+      try {
+        const filename = `avatars/${Date.now()}-${crypto.randomBytes(6).toString("hex")}${AVATAR_EXTENSIONS[req.file.mimetype]}`;
+        await fs.promises.writeFile(getLocalPath(filename), req.file.buffer);
+
+        req.file.filename = filename;
+        req.file.buffer = undefined;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  };
+
+  // read by the OpenAPI generator
+  middleware.openapi = {
+    upload: {
+      fieldName,
+      maxCount: 1,
+      mimeTypes: Object.keys(AVATAR_EXTENSIONS),
+    },
+  };
+
+  return middleware;
+};
+
+export {
+  upload,
+  uploadAttachments,
+  uploadImportFile,
+  uploadAvatar,
+  ALLOWED_MIME_TYPES,
+};
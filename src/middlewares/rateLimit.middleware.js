@@ -0,0 +1,62 @@
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { getRateLimitStore } from "../utils/rate-limit-store.js";
+
+const byIp = (req) => req.ip;
+
+// runs before validation, anything but a string is left to the validator
+const byEmail = (req) => {
+  const email = req.body?.email;
+  return typeof email === "string" ? email.trim().toLowerCase() : undefined;
+};
+
+const byUser = (req) => req.user?._id?.toString();
+
+// limits can be overridden per limiter, e.g. RATE_LIMIT_LOGIN_IP_MAX and RATE_LIMIT_LOGIN_IP_WINDOW_MS
+const readEnvNumber = (name, suffix, fallback) => {
+  const envName = `RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_${suffix}`;
+  return Number(process.env[envName]) || fallback;
+};
+
+const rateLimiter = ({
+  name,
+  windowMs = 15 * 60 * 1000,
+  max = 10,
+  keyGenerator = byIp,
+  message = "Too many requests, please try again later.",
+}) => {
+  const middleware = asyncHandler(async (req, res, next) => {
+    if (process.env.RATE_LIMIT_DISABLED === "true") return next();
+
+    const limit = readEnvNumber(name, "MAX", max);
+    const window = readEnvNumber(name, "WINDOW_MS", windowMs);
+
+    const key = keyGenerator(req);
+
+    // nothing to count by (e.g. no email in the body), let validation handle it
+    if (!key) return next();
+
+    const { count, resetAt } = await getRateLimitStore().increment(
+      `${name}:${key}`,
+      window,
+    );
+
+    res.set("RateLimit-Limit", String(limit));
+    res.set("RateLimit-Remaining", String(Math.max(0, limit - count)));
+
+    if (count > limit) {
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set("Retry-After", String(retryAfter));
+      throw new ApiError(429, message, [{ retryAfter }]);
+    }
+
+    next();
+  });
+
+  // read by the OpenAPI generator
+  middleware.openapi = { rateLimit: { name, windowMs, max } };
+
+  return middleware;
+};
+
+export { rateLimiter, byIp, byEmail, byUser };
@@ -0,0 +1,41 @@
+import crypto from "crypto";
+import { logger, redactUrl } from "../utils/logger.js";
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// ids from proxies or clients are kept when they are safe to log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// gives every request an id, echoed in the X-Request-Id header and in error
+// bodies, a child logger on req.log and one access log line once it finished
+export const requestLogger = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const incomingId = req.get(REQUEST_ID_HEADER);
+
+  req.id = VALID_REQUEST_ID.test(incomingId || "")
+    ? incomingId
+    : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  res.on("finish", () => {
+    const statusCode = res.statusCode;
+    const level =
+      statusCode >= 500 ? "error" : statusCode >= 400 ? "warn" : "info";
+
+    req.log[level]("Request completed", {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      statusCode,
+      latencyMs:
+        Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      contentLength: Number(res.get("content-length")) || 0,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      userId: req.user?._id,
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,78 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  AvailableActivityAction,
+  AvailableActivityEntity,
+} from "../utils/constants.js";
+
+const activitySchema = new Schema(
+  {
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      index: true,
+    },
+    entityType: {
+      type: String,
+      enum: AvailableActivityEntity,
+      required: true,
+    },
+    entityId: {
+      type: Schema.Types.ObjectId,
+    },
+    action: {
+      type: String,
+      enum: AvailableActivityAction,
+      required: true,
+    },
+    // only the fields that changed
+    changes: {
+      before: {
+        type: Schema.Types.Mixed,
+      },
+      after: {
+        type: Schema.Types.Mixed,
+      },
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+activitySchema.index({ project: 1, createdAt: -1 });
+activitySchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// the activity log is append only
+const rejectWrite = function () {
+  throw new Error("Activity log entries can not be modified or deleted");
+};
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((method) => activitySchema.pre(method, rejectWrite));
+
+activitySchema.pre("save", function (next) {
+  if (!this.isNew) return next(rejectWrite());
+  next();
+});
+
+const Activity = mongoose.model("Activity", activitySchema);
+export { Activity };
@@ -0,0 +1,83 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+import {
+  AvailableInvitationStatus,
+  AvailableUserRole,
+  InvitationStatusEnum,
+  UserRolesEnum,
+} from "../utils/constants.js";
+
+const invitationSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: AvailableUserRole,
+      default: UserRolesEnum.MEMBER,
+    },
+    invitedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: AvailableInvitationStatus,
+      default: InvitationStatusEnum.PENDING,
+    },
+    invitationToken: {
+      type: String,
+      index: true,
+    },
+    invitationExpiry: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+//methds
+
+//invitation token, same shape as the user's temp token but valid for 7 days
+invitationSchema.methods.generateInvitationToken = function () {
+  const unHashedToken = crypto.randomBytes(20).toString("hex");
+
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(unHashedToken)
+    .digest("hex");
+
+  const tokenExpiry = Date.now() + 7 * 24 * 60 * 60 * 1000; //7 days
+
+  return { unHashedToken, hashedToken, tokenExpiry };
+};
+
+//find a pending, unexpired invitation by the token from the mail
+invitationSchema.statics.findPendingByToken = function (unHashedToken) {
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(unHashedToken)
+    .digest("hex");
+
+  return this.findOne({
+    invitationToken: hashedToken,
+    invitationExpiry: { $gt: Date.now() },
+    status: InvitationStatusEnum.PENDING,
+  });
+};
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+export { Invitation };
@@ -0,0 +1,76 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableMailStatus, MailStatusEnum } from "../utils/constants.js";
+
+// every outgoing mail is stored here first, the mail worker retries failures
+const mailSchema = new Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    // the body can hold token links, it is removed once the mail is sent or
+    // given up on
+    text: {
+      type: String,
+    },
+    html: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: AvailableMailStatus,
+      default: MailStatusEnum.PENDING,
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    lastError: {
+      type: String,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    sentAt: {
+      type: Date,
+    },
+    transport: {
+      type: String,
+    },
+    messageId: {
+      type: String,
+    },
+    // set once the mail is sent or failed for good, pending mails never expire
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+mailSchema.index({ status: 1, nextAttemptAt: 1 });
+mailSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Mail = mongoose.model("Mail", mailSchema);
+export { Mail };
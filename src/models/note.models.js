@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+const noteSchema = new Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // markdown
+    content: {
+      type: String,
+      required: true,
+    },
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+noteSchema.index(
+  { title: "text", content: "text" },
+  { weights: { title: 5, content: 1 } },
+);
+
+const Note = mongoose.model("Note", noteSchema);
+export { Note };
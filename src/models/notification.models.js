@@ -0,0 +1,65 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableNotificationType } from "../utils/constants.js";
+
+const notificationSchema = new Schema(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      enum: AvailableNotificationType,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      default: "",
+    },
+    link: {
+      type: String,
+    },
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    task: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    // set when the recipient wants this type in the daily digest
+    digestPending: {
+      type: Boolean,
+      default: false,
+    },
+    emailedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+notificationSchema.index({ digestPending: 1, recipient: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+export { Notification };
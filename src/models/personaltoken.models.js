@@ -0,0 +1,105 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+import { AvailablePersonalTokenScope } from "../utils/constants.js";
+
+const TOKEN_PREFIX = "pat_";
+
+// a long lived token for scripts and CI, only its hash is stored
+const personalTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // first characters of the token, helps users to tell their tokens apart
+    tokenPreview: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: AvailablePersonalTokenScope }],
+      required: true,
+    },
+    // empty means every project of the user
+    projects: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Project",
+      },
+    ],
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+//methds
+
+// write:<resource> also grants read:<resource>
+personalTokenSchema.methods.hasScope = function (action, resource) {
+  return (
+    this.scopes.includes(`${action}:${resource}`) ||
+    this.scopes.includes(`write:${resource}`)
+  );
+};
+
+personalTokenSchema.methods.allowsProject = function (projectId) {
+  return (
+    !this.projects.length ||
+    this.projects.some((project) => String(project) === String(projectId))
+  );
+};
+
+//statics
+
+personalTokenSchema.statics.TOKEN_PREFIX = TOKEN_PREFIX;
+
+personalTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+personalTokenSchema.statics.generateToken = function () {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+
+  return {
+    token,
+    tokenHash: this.hashToken(token),
+    tokenPreview: token.slice(0, TOKEN_PREFIX.length + 6),
+  };
+};
+
+personalTokenSchema.statics.findActiveByToken = function (token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: Date.now() } }],
+  });
+};
+
+const PersonalToken = mongoose.model("PersonalToken", personalTokenSchema);
+export { PersonalToken };
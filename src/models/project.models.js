@@ -0,0 +1,29 @@
+import mongoose, { Schema } from "mongoose";
+
+const projectSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// names only have to be unique among the projects of one creator
+projectSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+
+const Project = mongoose.model("Project", projectSchema);
+export { Project };
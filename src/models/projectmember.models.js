@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+const projectMemberSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: AvailableUserRole,
+      default: UserRolesEnum.MEMBER,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// one membership per user per project
+projectMemberSchema.index({ project: 1, user: 1 }, { unique: true });
+
+const ProjectMember = mongoose.model("ProjectMember", projectMemberSchema);
+export { ProjectMember };
@@ -0,0 +1,23 @@
+import mongoose, { Schema } from "mongoose";
+
+// hit counters for the mongo rate limit store
+const rateLimitSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+export { RateLimit };
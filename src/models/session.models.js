@@ -0,0 +1,89 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+
+// one document per logged in device, the refresh token rotates inside it
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// mongo removes the session once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+//methds
+
+sessionSchema.methods.revoke = async function (reason = "logout") {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  this.refreshTokenHash = undefined;
+  return await this.save();
+};
+
+//statics
+
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+sessionSchema.statics.findActiveById = function (sessionId) {
+  return this.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() },
+  });
+};
+
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason = "logout_all",
+  exceptSessionId,
+) {
+  return this.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } }),
+    },
+    {
+      $set: { revokedAt: Date.now(), revokedReason: reason },
+      $unset: { refreshTokenHash: 1 },
+    },
+  );
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+export { Session };
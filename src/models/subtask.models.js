@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+
+const subTaskSchema = new Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    task: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+    },
+    isCompleted: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+subTaskSchema.index({ title: "text" });
+
+const SubTask = mongoose.model("SubTask", subTaskSchema);
+export { SubTask };
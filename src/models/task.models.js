@@ -0,0 +1,155 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  AvailableTaskPriority,
+  AvailableTaskStatus,
+  TaskPriorityEnum,
+  TaskStatusEnum,
+} from "../utils/constants.js";
+
+const attachmentSchema = new Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    localPath: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+    },
+    mimetype: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const taskSchema = new Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    assignedTo: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    assignedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: AvailableTaskStatus,
+      default: TaskStatusEnum.TODO,
+    },
+    // set while the task is done, used for throughput and cycle time stats
+    completedAt: {
+      type: Date,
+    },
+    dueDate: {
+      type: Date,
+    },
+    priority: {
+      type: String,
+      enum: AvailableTaskPriority,
+      default: TaskPriorityEnum.MEDIUM,
+    },
+    // numeric copy of priority so tasks sort from low to urgent
+    priorityRank: {
+      type: Number,
+      default: AvailableTaskPriority.indexOf(TaskPriorityEnum.MEDIUM),
+    },
+    // when each reminder mail went out, cleared when the due date or
+    // assignee changes so a reminder is sent once per deadline
+    reminders: {
+      dueSoonSentAt: {
+        type: Date,
+      },
+      overdueSentAt: {
+        type: Date,
+      },
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+taskSchema.virtual("isOverdue").get(function () {
+  return Boolean(
+    this.dueDate &&
+      this.dueDate < Date.now() &&
+      this.status !== TaskStatusEnum.DONE,
+  );
+});
+
+taskSchema.pre("save", function (next) {
+  if (!this.isNew && !this.isModified("status")) return next();
+
+  this.completedAt =
+    this.status === TaskStatusEnum.DONE ? Date.now() : undefined;
+  next();
+});
+
+taskSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("priority")) {
+    this.priorityRank = AvailableTaskPriority.indexOf(this.priority);
+  }
+
+  if (
+    !this.isNew &&
+    (this.isModified("dueDate") || this.isModified("assignedTo"))
+  ) {
+    this.reminders = {};
+  }
+
+  next();
+});
+
+taskSchema.index({ project: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ project: 1, status: 1, assignedTo: 1 });
+taskSchema.index({ project: 1, completedAt: 1 });
+taskSchema.index({ status: 1, dueDate: 1 });
+taskSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 5, description: 1 } },
+);
+
+const Task = mongoose.model("Task", taskSchema);
+export { Task };
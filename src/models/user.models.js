@@ -2,6 +2,16 @@ import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
+import {
+  AvailableNotificationDelivery,
+  NotificationDeliveryEnum,
+} from "../utils/constants.js";
+
+const notificationDelivery = {
+  type: String,
+  enum: AvailableNotificationDelivery,
+  default: NotificationDeliveryEnum.INSTANT,
+};
 
 const userSchema = new Schema(
   {
@@ -42,9 +52,6 @@ const userSchema = new Schema(
       type: Boolean,
       default: false,
     },
-    refreshToken: {
-      type: String,
-    },
     forgotPasswordToken: {
       type: String,
     },
@@ -57,6 +64,78 @@ const userSchema = new Schema(
     emailVarificationExpiry: {
       type: Date,
     },
+    // a requested email change, applied once the new address is verified
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    pendingEmailToken: {
+      type: String,
+      select: false,
+    },
+    pendingEmailExpiry: {
+      type: Date,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    unlockToken: {
+      type: String,
+    },
+    unlockExpiry: {
+      type: Date,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // two factor secrets are never loaded unless selected explicitly
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // how each notification type reaches the user by email
+    notificationPreferences: {
+      assignment: notificationDelivery,
+      mention: notificationDelivery,
+      status_change: notificationDelivery,
+      invite: notificationDelivery,
+      // due soon and overdue task mails
+      taskReminders: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    lastDigestSentAt: {
+      type: Date,
+    },
+    // deleted accounts are kept anonymized so authored content still resolves
+    deletedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -78,13 +157,14 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-//access token
-userSchema.methods.generateAccessToken = function () {
+//access token, sessionId ties it to the device that logged in
+userSchema.methods.generateAccessToken = function (sessionId) {
   const token = jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
+      sid: sessionId,
     },
     process.env.ACCESS_TOKEN_SECRET,
     { expiresIn: process.env.ACCESS_TOKEN_EXPIRY },
@@ -92,20 +172,106 @@ userSchema.methods.generateAccessToken = function () {
   return token;
 };
 
-//refresh token
-userSchema.methods.generateRefreshToken = function () {
+//refresh token, jwtid keeps every rotated token unique
+userSchema.methods.generateRefreshToken = function (sessionId) {
   const token = jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
+      sid: sessionId,
     },
     process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: process.env.REFRESH_TOKEN_EXPIRY },
+    {
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      jwtid: crypto.randomUUID(),
+    },
   );
   return token;
 };
 
+//account lockout
+// read per call, .env is loaded after the modules are imported
+const getMaxLoginAttempts = () => Number(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const BASE_LOCK_TIME = 15 * 60 * 1000; //15 min
+const MAX_LOCK_TIME = 24 * 60 * 60 * 1000; //24 hours
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+//every lock in a row doubles the lock time
+userSchema.methods.registerFailedLogin = async function () {
+  this.failedLoginAttempts += 1;
+
+  let locked = false;
+  if (this.failedLoginAttempts >= getMaxLoginAttempts()) {
+    const lockTime = Math.min(
+      MAX_LOCK_TIME,
+      BASE_LOCK_TIME * 2 ** this.lockCount,
+    );
+
+    this.lockUntil = Date.now() + lockTime;
+    this.lockCount += 1;
+    this.failedLoginAttempts = 0;
+    locked = true;
+  }
+
+  await this.save({ validateBeforeSave: false });
+  return locked;
+};
+
+userSchema.methods.resetLoginAttempts = async function () {
+  if (!this.failedLoginAttempts && !this.lockCount && !this.lockUntil) return;
+
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+  this.unlockToken = undefined;
+  this.unlockExpiry = undefined;
+  await this.save({ validateBeforeSave: false });
+};
+
+//two factor challenge, proves the password step of a 2FA login
+userSchema.methods.generateTwoFactorChallengeToken = function () {
+  return jwt.sign(
+    {
+      _id: this._id,
+      purpose: "2fa_challenge",
+    },
+    process.env.TWO_FACTOR_CHALLENGE_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m" },
+  );
+};
+
+//recovery codes, only the hashes are stored
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const recoveryCodes = Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = recoveryCodes.map((code) =>
+    crypto.createHash("sha256").update(code).digest("hex"),
+  );
+
+  return recoveryCodes;
+};
+
+//burns a recovery code, needs twoFactorRecoveryCodes to be selected
+userSchema.methods.useRecoveryCode = function (recoveryCode = "") {
+  const hashedCode = crypto
+    .createHash("sha256")
+    .update(recoveryCode.trim().toLowerCase())
+    .digest("hex");
+
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashedCode);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
 //temp token
 userSchema.methods.generateTemoporaryToken = function () {
   const unHashedToken = crypto.randomBytes(20).toString("hex");
@@ -0,0 +1,69 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+import { AvailableWebhookEvent } from "../utils/constants.js";
+
+const webhookSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    events: {
+      type: [
+        {
+          type: String,
+          enum: AvailableWebhookEvent,
+        },
+      ],
+      default: [],
+    },
+    // signs every payload, it has to stay readable so it is not hashed
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    disabledAt: {
+      type: Date,
+    },
+    disabledReason: {
+      type: String,
+    },
+    lastDeliveryAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+};
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+export { Webhook };
@@ -0,0 +1,73 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  AvailableWebhookDeliveryStatus,
+  WebhookDeliveryStatusEnum,
+} from "../utils/constants.js";
+
+// one row per event sent to a webhook, the webhook worker retries failures
+const webhookDeliverySchema = new Schema(
+  {
+    webhook: {
+      type: Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: AvailableWebhookDeliveryStatus,
+      default: WebhookDeliveryStatusEnum.PENDING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 6,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    responseStatus: {
+      type: Number,
+    },
+    lastError: {
+      type: String,
+    },
+    durationMs: {
+      type: Number,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema,
+);
+export { WebhookDelivery };
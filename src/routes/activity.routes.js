@@ -0,0 +1,37 @@
+import { Router } from "express";
+import {
+  getProjectActivity,
+  getSecurityActivity,
+} from "../controllers/activity.controller.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import { activityFeedValidator } from "../validator/index.js";
+
+import {
+  verifyJWT,
+  verifyAdmin,
+  validateProjectPermission,
+} from "../middlewares/JWTauth.middleware.js";
+import { UserRolesEnum } from "../utils/constants.js";
+
+const router = Router();
+
+//all activity routes are secure
+router.use(verifyJWT);
+
+router
+  .route("/security")
+  .get(verifyAdmin, activityFeedValidator(), validate, getSecurityActivity);
+
+router
+  .route("/projects/:projectId")
+  .get(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    activityFeedValidator(),
+    validate,
+    getProjectActivity,
+  );
+
+export default router;
@@ -9,8 +9,20 @@ import {
   registerUser,
   resendEmailVerification,
   resetForgotPassword,
+  unlockAccount,
   verifyEmail,
+  verifyTwoFactorLogin,
 } from "../controllers/auth.controller.js";
+import {
+  confirmTwoFactor,
+  disableTwoFactor,
+  enrollTwoFactor,
+} from "../controllers/twofactor.controller.js";
+import {
+  getSessions,
+  revokeAllSessions,
+  revokeSession,
+} from "../controllers/session.controller.js";
 import { validate } from "../middlewares/validator.middleware.js";
 import {
   userRegisterValidator,
@@ -18,20 +30,88 @@ import {
   userForgotPasswordValidator,
   userResetForgotPasswordvalidator,
   userChangeCurrectPasswordValidator,
+  twoFactorCodeValidator,
+  twoFactorLoginValidator,
+  twoFactorDisableValidator,
 } from "../validator/index.js";
 
 import { verifyJWT } from "../middlewares/JWTauth.middleware.js";
+import {
+  byEmail,
+  byIp,
+  byUser,
+  rateLimiter,
+} from "../middlewares/rateLimit.middleware.js";
 
 const router = Router();
 
+//rate limits, each can be tuned with RATE_LIMIT_<NAME>_MAX / _WINDOW_MS
+const loginIpLimiter = rateLimiter({
+  name: "login_ip",
+  max: 20,
+  keyGenerator: byIp,
+});
+// matches the lockout threshold so unknown emails get limited like real ones
+const loginAccountLimiter = rateLimiter({
+  name: "login_account",
+  max: 5,
+  keyGenerator: byEmail,
+});
+const forgotPasswordIpLimiter = rateLimiter({
+  name: "forgot_password_ip",
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  keyGenerator: byIp,
+});
+const forgotPasswordAccountLimiter = rateLimiter({
+  name: "forgot_password_account",
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: byEmail,
+});
+const resendVerificationLimiter = rateLimiter({
+  name: "resend_verification",
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: byUser,
+});
+const refreshTokenLimiter = rateLimiter({
+  name: "refresh_token_ip",
+  max: 60,
+  keyGenerator: byIp,
+});
+
 //unsecure routes
 router.route("/register").post(userRegisterValidator(), validate, registerUser);
-router.route("/login").post(userLoginValidator(), validate, login);
+router
+  .route("/login")
+  .post(
+    loginIpLimiter,
+    loginAccountLimiter,
+    userLoginValidator(),
+    validate,
+    login,
+  );
 router.route("/verify-email/:verificationToken").get(verifyEmail);
-router.route("/refresh-token").post(refreshAccessToken);
+router
+  .route("/login/2fa")
+  .post(
+    loginIpLimiter,
+    twoFactorLoginValidator(),
+    validate,
+    verifyTwoFactorLogin,
+  );
+router.route("/unlock-account/:unlockToken").get(unlockAccount);
+router.route("/refresh-token").post(refreshTokenLimiter, refreshAccessToken);
 router
   .route("/forgot-password")
-  .post(userForgotPasswordValidator(), validate, forgotPasswordRequest);
+  .post(
+    forgotPasswordIpLimiter,
+    forgotPasswordAccountLimiter,
+    userForgotPasswordValidator(),
+    validate,
+    forgotPasswordRequest,
+  );
 router
   .route("/reset-password:resetToken")
   .post(userResetForgotPasswordvalidator(), validate, resetForgotPassword);
@@ -49,6 +129,18 @@ router
   );
 router
   .route("/resend-email-verification")
-  .post(verifyJWT, resendEmailVerification);
+  .post(verifyJWT, resendVerificationLimiter, resendEmailVerification);
+router.route("/2fa/enroll").post(verifyJWT, enrollTwoFactor);
+router
+  .route("/2fa/confirm")
+  .post(verifyJWT, twoFactorCodeValidator(), validate, confirmTwoFactor);
+router
+  .route("/2fa/disable")
+  .post(verifyJWT, twoFactorDisableValidator(), validate, disableTwoFactor);
+router
+  .route("/sessions")
+  .get(verifyJWT, getSessions)
+  .delete(verifyJWT, revokeAllSessions);
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession);
 
 export default router;
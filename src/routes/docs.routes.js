@@ -0,0 +1,17 @@
+import express, { Router } from "express";
+import swaggerUiDist from "swagger-ui-dist";
+import {
+  getApiDocsPage,
+  getOpenApiDocument,
+} from "../controllers/docs.controller.js";
+
+const router = Router();
+
+router.route("/").get(getApiDocsPage);
+router.route("/openapi.json").get(getOpenApiDocument);
+router.use(
+  "/assets",
+  express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }),
+);
+
+export default router;
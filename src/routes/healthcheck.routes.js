@@ -1,8 +1,13 @@
 import { Router } from "express";
-import { healthCheck } from "../controllers/healthcheck.controller.js";
+import {
+  healthCheck,
+  liveness,
+} from "../controllers/healthcheck.controller.js";
 
 const router = Router();
 
 router.route("/").get(healthCheck);
+router.route("/ready").get(healthCheck);
+router.route("/live").get(liveness);
 
 export default router;
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  acceptInvitation,
+  declineInvitation,
+  getInvitationByToken,
+  getMyInvitations,
+} from "../controllers/invitation.controller.js";
+
+import { verifyJWT } from "../middlewares/JWTauth.middleware.js";
+
+const router = Router();
+
+//unsecure routes, the token from the mail is the proof
+router.route("/:invitationToken").get(getInvitationByToken);
+router.route("/:invitationToken/decline").post(declineInvitation);
+
+//secure routes
+router.route("/").get(verifyJWT, getMyInvitations);
+router.route("/:invitationToken/accept").post(verifyJWT, acceptInvitation);
+
+export default router;
@@ -0,0 +1,47 @@
+import { Router } from "express";
+import {
+  createNote,
+  deleteNote,
+  getNoteById,
+  getNotes,
+  updateNote,
+} from "../controllers/note.controller.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+  createNoteValidator,
+  updateNoteValidator,
+} from "../validator/index.js";
+
+import {
+  verifyJWTOrPersonalToken,
+  validateProjectPermission,
+} from "../middlewares/JWTauth.middleware.js";
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+const router = Router();
+
+//all note routes are secure
+router.use(verifyJWTOrPersonalToken("notes"));
+
+router
+  .route("/:projectId")
+  .get(validateProjectPermission(AvailableUserRole), getNotes)
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    createNoteValidator(),
+    validate,
+    createNote,
+  );
+
+router
+  .route("/:projectId/n/:noteId")
+  .get(validateProjectPermission(AvailableUserRole), getNoteById)
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    updateNoteValidator(),
+    validate,
+    updateNote,
+  )
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteNote);
+
+export default router;
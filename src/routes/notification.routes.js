@@ -0,0 +1,40 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from "../controllers/notification.controller.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+  getNotificationsValidator,
+  updateNotificationPreferencesValidator,
+} from "../validator/index.js";
+
+import { verifyJWT } from "../middlewares/JWTauth.middleware.js";
+
+const router = Router();
+
+//all notification routes are secure
+router.use(verifyJWT);
+
+router.route("/").get(getNotificationsValidator(), validate, getNotifications);
+
+router.route("/unread-count").get(getUnreadCount);
+
+router.route("/read-all").patch(markAllNotificationsRead);
+
+router
+  .route("/preferences")
+  .get(getNotificationPreferences)
+  .put(
+    updateNotificationPreferencesValidator(),
+    validate,
+    updateNotificationPreferences,
+  );
+
+router.route("/:notificationId/read").patch(markNotificationRead);
+
+export default router;
@@ -0,0 +1,215 @@
+import { Router } from "express";
+import {
+  addMemberToProject,
+  createProject,
+  deleteMember,
+  deleteProject,
+  getProjectById,
+  getProjectMembers,
+  getProjects,
+  searchProject,
+  updateMemberRole,
+  updateProject,
+} from "../controllers/project.controller.js";
+import {
+  createInvitation,
+  getProjectInvitations,
+  revokeInvitation,
+} from "../controllers/invitation.controller.js";
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhookById,
+  getWebhookDeliveries,
+  getWebhooks,
+  pingWebhook,
+  updateWebhook,
+} from "../controllers/webhook.controller.js";
+import {
+  exportProject,
+  exportProjectTasksCsv,
+  importProject,
+} from "../controllers/transfer.controller.js";
+import { uploadImportFile } from "../middlewares/multer.middleware.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+  createProjectValidator,
+  updateProjectValidator,
+  addMemberToProjectValidator,
+  updateMemberRoleValidator,
+  createInvitationValidator,
+  getInvitationsValidator,
+  searchProjectValidator,
+  createWebhookValidator,
+  updateWebhookValidator,
+  getWebhookDeliveriesValidator,
+  importProjectValidator,
+} from "../validator/index.js";
+
+import {
+  rejectProjectRestrictedToken,
+  verifyJWTOrPersonalToken,
+  validateProjectPermission,
+} from "../middlewares/JWTauth.middleware.js";
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+const router = Router();
+
+//all project routes are secure
+router.use(verifyJWTOrPersonalToken("projects"));
+
+router
+  .route("/")
+  .get(getProjects)
+  .post(
+    rejectProjectRestrictedToken,
+    createProjectValidator(),
+    validate,
+    createProject,
+  );
+
+router
+  .route("/import")
+  .post(
+    rejectProjectRestrictedToken,
+    uploadImportFile("file"),
+    importProjectValidator(),
+    validate,
+    importProject,
+  );
+
+router
+  .route("/:projectId")
+  .get(validateProjectPermission(AvailableUserRole), getProjectById)
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    updateProjectValidator(),
+    validate,
+    updateProject,
+  )
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteProject);
+
+router
+  .route("/:projectId/export")
+  .get(validateProjectPermission([UserRolesEnum.ADMIN]), exportProject);
+
+router
+  .route("/:projectId/export/tasks")
+  .get(validateProjectPermission([UserRolesEnum.ADMIN]), exportProjectTasksCsv);
+
+router
+  .route("/:projectId/search")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    searchProjectValidator(),
+    validate,
+    searchProject,
+  );
+
+router
+  .route("/:projectId/members")
+  .get(validateProjectPermission(AvailableUserRole), getProjectMembers)
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    addMemberToProjectValidator(),
+    validate,
+    addMemberToProject,
+  );
+
+router
+  .route("/:projectId/members/:userId")
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    updateMemberRoleValidator(),
+    validate,
+    updateMemberRole,
+  )
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteMember);
+
+router
+  .route("/:projectId/invitations")
+  .get(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    getInvitationsValidator(),
+    validate,
+    getProjectInvitations,
+  )
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    createInvitationValidator(),
+    validate,
+    createInvitation,
+  );
+
+router
+  .route("/:projectId/invitations/:invitationId")
+  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), revokeInvitation);
+
+router
+  .route("/:projectId/webhooks")
+  .get(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    getWebhooks,
+  )
+  .post(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    createWebhookValidator(),
+    validate,
+    createWebhook,
+  );
+
+router
+  .route("/:projectId/webhooks/:webhookId")
+  .get(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    getWebhookById,
+  )
+  .put(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    updateWebhookValidator(),
+    validate,
+    updateWebhook,
+  )
+  .delete(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    deleteWebhook,
+  );
+
+router
+  .route("/:projectId/webhooks/:webhookId/deliveries")
+  .get(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    getWebhookDeliveriesValidator(),
+    validate,
+    getWebhookDeliveries,
+  );
+
+router
+  .route("/:projectId/webhooks/:webhookId/ping")
+  .post(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    pingWebhook,
+  );
+
+export default router;
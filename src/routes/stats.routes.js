@@ -0,0 +1,31 @@
+import { Router } from "express";
+import {
+  getMySummary,
+  getProjectStats,
+} from "../controllers/stats.controller.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import { projectStatsValidator } from "../validator/index.js";
+
+import {
+  verifyJWT,
+  validateProjectPermission,
+} from "../middlewares/JWTauth.middleware.js";
+import { AvailableUserRole } from "../utils/constants.js";
+
+const router = Router();
+
+//all stats routes are secure
+router.use(verifyJWT);
+
+router.route("/summary").get(getMySummary);
+
+router
+  .route("/projects/:projectId")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    projectStatsValidator(),
+    validate,
+    getProjectStats,
+  );
+
+export default router;
@@ -0,0 +1,154 @@
+import { Router } from "express";
+import {
+  createSubTask,
+  createTask,
+  deleteSubTask,
+  deleteTask,
+  deleteTaskAttachment,
+  downloadTaskAttachment,
+  getTaskAttachments,
+  getTaskById,
+  getTasks,
+  updateSubTask,
+  updateTask,
+  uploadTaskAttachments,
+} from "../controllers/task.controller.js";
+import {
+  createComment,
+  deleteComment,
+  getTaskComments,
+  updateComment,
+} from "../controllers/comment.controller.js";
+import { uploadAttachments } from "../middlewares/multer.middleware.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+  getTasksValidator,
+  createTaskValidator,
+  updateTaskValidator,
+  createSubTaskValidator,
+  updateSubTaskValidator,
+  createCommentValidator,
+  updateCommentValidator,
+} from "../validator/index.js";
+
+import {
+  verifyJWTOrPersonalToken,
+  validateProjectPermission,
+} from "../middlewares/JWTauth.middleware.js";
+import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+
+const router = Router();
+
+//all task routes are secure
+router.use(verifyJWTOrPersonalToken("tasks"));
+
+router
+  .route("/:projectId")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    getTasksValidator(),
+    validate,
+    getTasks,
+  )
+  .post(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    createTaskValidator(),
+    validate,
+    createTask,
+  );
+
+router
+  .route("/:projectId/t/:taskId")
+  .get(validateProjectPermission(AvailableUserRole), getTaskById)
+  .put(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    updateTaskValidator(),
+    validate,
+    updateTask,
+  )
+  .delete(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    deleteTask,
+  );
+
+router
+  .route("/:projectId/t/:taskId/subtasks")
+  .post(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    createSubTaskValidator(),
+    validate,
+    createSubTask,
+  );
+
+router
+  .route("/:projectId/t/:taskId/attachments")
+  .get(validateProjectPermission(AvailableUserRole), getTaskAttachments)
+  .post(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    uploadAttachments("attachments"),
+    uploadTaskAttachments,
+  );
+
+router
+  .route("/:projectId/t/:taskId/attachments/:attachmentId")
+  .get(validateProjectPermission(AvailableUserRole), downloadTaskAttachment)
+  .delete(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    deleteTaskAttachment,
+  );
+
+router
+  .route("/:projectId/t/:taskId/comments")
+  .get(validateProjectPermission(AvailableUserRole), getTaskComments)
+  .post(
+    validateProjectPermission(AvailableUserRole),
+    createCommentValidator(),
+    validate,
+    createComment,
+  );
+
+router
+  .route("/:projectId/c/:commentId")
+  .put(
+    validateProjectPermission(AvailableUserRole),
+    updateCommentValidator(),
+    validate,
+    updateComment,
+  )
+  .delete(validateProjectPermission(AvailableUserRole), deleteComment);
+
+router
+  .route("/:projectId/st/:subTaskId")
+  .put(
+    validateProjectPermission(AvailableUserRole),
+    updateSubTaskValidator(),
+    validate,
+    updateSubTask,
+  )
+  .delete(
+    validateProjectPermission([
+      UserRolesEnum.ADMIN,
+      UserRolesEnum.PROJECT_ADMIN,
+    ]),
+    deleteSubTask,
+  );
+
+export default router;
@@ -0,0 +1,59 @@
+import { Router } from "express";
+import {
+  changeUsername,
+  deleteAccount,
+  removeAvatar,
+  requestEmailChange,
+  updateAvatar,
+  updateProfile,
+  verifyEmailChange,
+} from "../controllers/user.controller.js";
+import {
+  createPersonalToken,
+  getPersonalTokens,
+  revokePersonalToken,
+} from "../controllers/personaltoken.controller.js";
+import { uploadAvatar } from "../middlewares/multer.middleware.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+  updateProfileValidator,
+  changeUsernameValidator,
+  changeEmailValidator,
+  deleteAccountValidator,
+  createPersonalTokenValidator,
+} from "../validator/index.js";
+
+import { verifyJWT } from "../middlewares/JWTauth.middleware.js";
+
+const router = Router();
+
+//unsecure routes
+router.route("/verify-email-change/:verificationToken").get(verifyEmailChange);
+
+//secure routes
+router
+  .route("/me")
+  .patch(verifyJWT, updateProfileValidator(), validate, updateProfile)
+  .delete(verifyJWT, deleteAccountValidator(), validate, deleteAccount);
+router
+  .route("/me/avatar")
+  .patch(verifyJWT, uploadAvatar("avatar"), updateAvatar)
+  .delete(verifyJWT, removeAvatar);
+router
+  .route("/me/username")
+  .patch(verifyJWT, changeUsernameValidator(), validate, changeUsername);
+router
+  .route("/me/email")
+  .post(verifyJWT, changeEmailValidator(), validate, requestEmailChange);
+router
+  .route("/me/tokens")
+  .get(verifyJWT, getPersonalTokens)
+  .post(
+    verifyJWT,
+    createPersonalTokenValidator(),
+    validate,
+    createPersonalToken,
+  );
+router.route("/me/tokens/:tokenId").delete(verifyJWT, revokePersonalToken);
+
+export default router;
@@ -0,0 +1,61 @@
+import { Activity } from "../models/activity.models.js";
+import { logger } from "./logger.js";
+
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+const toPlain = (doc) => {
+  if (!doc) return undefined;
+  return typeof doc.toObject === "function" ? doc.toObject() : { ...doc };
+};
+
+// keeps only the fields whose value differs between the two versions
+const diffChanges = (before, after) => {
+  const beforeObject = toPlain(before);
+  const afterObject = toPlain(after);
+
+  if (!beforeObject || !afterObject) {
+    return { before: beforeObject, after: afterObject };
+  }
+
+  const changes = { before: {}, after: {} };
+  const keys = new Set([
+    ...Object.keys(beforeObject),
+    ...Object.keys(afterObject),
+  ]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+
+    if (
+      JSON.stringify(beforeObject[key]) !== JSON.stringify(afterObject[key])
+    ) {
+      changes.before[key] = beforeObject[key];
+      changes.after[key] = afterObject[key];
+    }
+  }
+
+  return changes;
+};
+
+// records an activity entry, a failure here must never fail the request
+const logActivity = async (
+  req,
+  { actor, project, entityType, entityId, action, before, after },
+) => {
+  try {
+    await Activity.create({
+      actor: actor || req?.user?._id,
+      project,
+      entityType,
+      entityId,
+      action,
+      changes: diffChanges(before, after),
+      ip: req?.ip,
+      userAgent: req?.get?.("user-agent"),
+    });
+  } catch (error) {
+    (req?.log || logger).error("Error while logging activity", error);
+  }
+};
+
+export { diffChanges, logActivity };
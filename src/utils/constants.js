@@ -13,3 +13,147 @@ export const TaskStatusEnum = {
 };
 
 export const AvailableTaskStatus = Object.values(TaskStatusEnum);
+
+export const TaskPriorityEnum = {
+  LOW: "low",
+  MEDIUM: "medium",
+  HIGH: "high",
+  URGENT: "urgent",
+};
+
+// lowest to highest, the index is what tasks are sorted by
+export const AvailableTaskPriority = Object.values(TaskPriorityEnum);
+
+export const InvitationStatusEnum = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  REVOKED: "revoked",
+};
+
+export const AvailableInvitationStatus = Object.values(InvitationStatusEnum);
+
+export const MailStatusEnum = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+export const AvailableMailStatus = Object.values(MailStatusEnum);
+
+export const ActivityEntityEnum = {
+  USER: "user",
+  PROJECT: "project",
+  MEMBER: "member",
+  INVITATION: "invitation",
+  TASK: "task",
+  SUBTASK: "subtask",
+  ATTACHMENT: "attachment",
+  NOTE: "note",
+  COMMENT: "comment",
+};
+
+export const AvailableActivityEntity = Object.values(ActivityEntityEnum);
+
+export const ActivityActionEnum = {
+  CREATED: "created",
+  UPDATED: "updated",
+  DELETED: "deleted",
+  STATUS_CHANGED: "status_changed",
+  ROLE_CHANGED: "role_changed",
+  LOGIN: "login",
+  LOGIN_FAILED: "login_failed",
+  LOGOUT: "logout",
+  ACCOUNT_LOCKED: "account_locked",
+  PASSWORD_CHANGED: "password_changed",
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFIED: "email_verified",
+  TWO_FACTOR_ENABLED: "two_factor_enabled",
+  TWO_FACTOR_DISABLED: "two_factor_disabled",
+  SESSION_REVOKED: "session_revoked",
+  PROFILE_UPDATED: "profile_updated",
+  USERNAME_CHANGED: "username_changed",
+  EMAIL_CHANGED: "email_changed",
+  ACCOUNT_DELETED: "account_deleted",
+  PERSONAL_TOKEN_CREATED: "personal_token_created",
+  PERSONAL_TOKEN_REVOKED: "personal_token_revoked",
+};
+
+export const AvailableActivityAction = Object.values(ActivityActionEnum);
+
+export const NotificationTypeEnum = {
+  ASSIGNMENT: "assignment",
+  MENTION: "mention",
+  STATUS_CHANGE: "status_change",
+  INVITE: "invite",
+};
+
+export const AvailableNotificationType = Object.values(NotificationTypeEnum);
+
+export const NotificationDeliveryEnum = {
+  INSTANT: "instant",
+  DIGEST: "digest",
+  NONE: "none",
+};
+
+export const AvailableNotificationDelivery = Object.values(
+  NotificationDeliveryEnum,
+);
+
+export const RealtimeEventEnum = {
+  CONNECTED: "connected",
+  SUBSCRIBED: "subscribed",
+  UNSUBSCRIBED: "unsubscribed",
+  TASK_CREATED: "task.created",
+  TASK_UPDATED: "task.updated",
+  TASK_DELETED: "task.deleted",
+  SUBTASK_CREATED: "subtask.created",
+  SUBTASK_UPDATED: "subtask.updated",
+  SUBTASK_DELETED: "subtask.deleted",
+  NOTE_CREATED: "note.created",
+  NOTE_UPDATED: "note.updated",
+  NOTE_DELETED: "note.deleted",
+  MEMBER_ADDED: "member.added",
+  MEMBER_UPDATED: "member.updated",
+  MEMBER_REMOVED: "member.removed",
+  PROJECT_DELETED: "project.deleted",
+};
+
+export const WebhookEventEnum = {
+  TASK_CREATED: "task.created",
+  TASK_UPDATED: "task.updated",
+  TASK_STATUS_CHANGED: "task.status_changed",
+  MEMBER_ADDED: "member.added",
+  NOTE_CREATED: "note.created",
+};
+
+export const AvailableWebhookEvent = Object.values(WebhookEventEnum);
+
+// sent by the test ping endpoint, can not be subscribed to
+export const WEBHOOK_PING_EVENT = "ping";
+
+export const WebhookDeliveryStatusEnum = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+export const AvailableWebhookDeliveryStatus = Object.values(
+  WebhookDeliveryStatusEnum,
+);
+
+// personal access tokens, write also grants read on the same resource
+export const PersonalTokenScopeEnum = {
+  READ_PROJECTS: "read:projects",
+  WRITE_PROJECTS: "write:projects",
+  READ_TASKS: "read:tasks",
+  WRITE_TASKS: "write:tasks",
+  READ_NOTES: "read:notes",
+  WRITE_NOTES: "write:notes",
+};
+
+export const AvailablePersonalTokenScope = Object.values(
+  PersonalTokenScopeEnum,
+);
@@ -0,0 +1,28 @@
+// spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => any }]
+const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map((column) => escapeCsvValue(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(column.value(row))).join(","),
+    ),
+  ];
+
+  return lines.join("\r\n");
+};
+
+export { escapeCsvValue, toCsv };
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import { ApiError } from "./api-error.js";
+
+// turns "status,-createdAt" into [["status", 1], ["createdAt", -1], ["_id", -1]],
+// _id is always the last key so documents with equal values keep a stable order
+const parseSort = (sort, defaultSort = "-createdAt") => {
+  const entries = (sort || defaultSort)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean)
+    .map((field) =>
+      field.startsWith("-") ? [field.slice(1), -1] : [field, 1],
+    );
+
+  const fields = entries.map(([field]) => field);
+  const lastDirection = entries.length ? entries[entries.length - 1][1] : -1;
+
+  if (!fields.includes("_id")) {
+    entries.push(["_id", lastDirection]);
+  }
+
+  return entries;
+};
+
+const serializeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: String(value) };
+  return value ?? null;
+};
+
+const deserializeValue = (value) => {
+  if (value?.$date) return new Date(value.$date);
+  if (value?.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  return value;
+};
+
+const getSortKey = (sortEntries) =>
+  sortEntries.map(([field, direction]) => `${direction}${field}`).join(",");
+
+// the cursor remembers the sort it was made for and the last document's values
+const encodeCursor = (doc, sortEntries) => {
+  const payload = {
+    sort: getSortKey(sortEntries),
+    values: sortEntries.map(([field]) => serializeValue(doc[field])),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor, sortEntries) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new ApiError(400, "Cursor is invalid!");
+  }
+
+  if (
+    payload?.sort !== getSortKey(sortEntries) ||
+    !Array.isArray(payload.values) ||
+    payload.values.length !== sortEntries.length
+  ) {
+    throw new ApiError(400, "Cursor does not match the requested sort!");
+  }
+
+  return payload.values.map(deserializeValue);
+};
+
+// mongo sorts null (and missing) before every other value
+const isAfter = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1
+      ? { [field]: { $ne: null } }
+      : { _id: { $exists: false } }; // nothing comes after null descending
+  }
+
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// documents strictly after the cursor:
+// (k1 after v1) or (k1 = v1 and k2 after v2) or ...
+const buildCursorFilter = (sortEntries, values) => {
+  const conditions = sortEntries.map(([field, direction], index) => ({
+    $and: [
+      ...sortEntries.slice(0, index).map(([equalField], equalIndex) => ({
+        [equalField]: values[equalIndex],
+      })),
+      isAfter(field, direction, values[index]),
+    ],
+  }));
+
+  return { $or: conditions };
+};
+
+// runs a cursor paginated find, fetching one extra document to know
+// whether another page exists
+const paginateWithCursor = async (
+  Model,
+  { filter = {}, sortEntries, cursor, limit = 20, populate = [] },
+) => {
+  const cursorFilter = cursor
+    ? buildCursorFilter(sortEntries, decodeCursor(cursor, sortEntries))
+    : {};
+
+  const docs = await Model.find({ $and: [filter, cursorFilter] })
+    .sort(Object.fromEntries(sortEntries))
+    .limit(limit + 1)
+    .populate(populate);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor(items[items.length - 1], sortEntries)
+      : null,
+  };
+};
+
+export {
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginateWithCursor,
+};
@@ -0,0 +1,57 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+// avatars live under public/images/avatars, which app.js serves statically
+const UPLOAD_DIR = path.join("public", "images");
+const AVATAR_DIR = path.join(UPLOAD_DIR, "avatars");
+// task attachments stay outside public/, they are only served by the
+// download route after the project permission check
+const ATTACHMENT_DIR = path.join("uploads", "attachments");
+
+const getStaticFilePath = (req, fileName) => {
+  return `${req.protocol}://${req.get("host")}/images/${fileName}`;
+};
+
+const getLocalPath = (fileName) => {
+  return path.join(UPLOAD_DIR, fileName);
+};
+
+// replace anything that is not safe in a file name and keep it short
+const sanitizeFileName = (fileName = "") => {
+  const extension = path.extname(fileName).toLowerCase();
+  const baseName = path
+    .basename(fileName, path.extname(fileName))
+    .normalize("NFKD")
+    .replace(/[^a-zA-Z0-9-_]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 50);
+
+  return `${baseName || "file"}${extension.replace(/[^a-z0-9.]/g, "")}`;
+};
+
+const removeLocalFile = async (localPath) => {
+  if (!localPath) return;
+
+  try {
+    await fs.promises.unlink(localPath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("Error while removing local file", {
+        localPath,
+        err: error,
+      });
+    }
+  }
+};
+
+export {
+  UPLOAD_DIR,
+  AVATAR_DIR,
+  ATTACHMENT_DIR,
+  getStaticFilePath,
+  getLocalPath,
+  sanitizeFileName,
+  removeLocalFile,
+};
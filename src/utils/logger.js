@@ -0,0 +1,112 @@
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: 100 };
+
+const REDACTED = "[REDACTED]";
+
+// keys whose values never reach the logs, matched case-insensitively
+const SENSITIVE_KEY =
+  /pass(word)?$|token$|secret$|^cookie$|^set-cookie$|^authorization$|recoverycodes$|^otp$|^code$/i;
+
+// 40 character hex tokens from mails (verification, reset, invitation), they
+// can follow a path segment directly, e.g. /reset-password<token>
+const SENSITIVE_URL_PART = /pat_[0-9a-f]+|[0-9a-f]{40}(?![0-9a-f])/gi;
+
+const MAX_DEPTH = 6;
+
+// read per call, .env is loaded after the modules are imported
+const getLevel = () => {
+  const level = process.env.LOG_LEVEL?.toLowerCase();
+  return LEVELS[level] ?? LEVELS.info;
+};
+
+//! Copy a value for the log line, without secrets and circular references
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || typeof value !== "object") {
+    return typeof value === "bigint" ? value.toString() : value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (depth >= MAX_DEPTH || seen.has(value)) {
+    return "[Truncated]";
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      type: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.statusCode !== undefined && { statusCode: value.statusCode }),
+      stack: value.stack,
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  // ObjectIds and other values that know how to print themselves
+  if (typeof value.toJSON === "function") {
+    return redact(value.toJSON(), depth + 1, seen);
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1, seen),
+    ]),
+  );
+};
+
+//! Mask tokens in the path and sensitive query parameters of a url
+const redactUrl = (url = "") => {
+  const [path, query] = url.split("?");
+  const redactedPath = path.replace(SENSITIVE_URL_PART, REDACTED);
+
+  if (!query) {
+    return redactedPath;
+  }
+
+  const params = new URLSearchParams(query);
+  for (const key of params.keys()) {
+    if (SENSITIVE_KEY.test(key)) {
+      params.set(key, REDACTED);
+    }
+  }
+
+  return `${redactedPath}?${params.toString().replaceAll("%5BREDACTED%5D", REDACTED)}`;
+};
+
+const write = (level, bindings, message, fields) => {
+  if (LEVELS[level] < getLevel()) return;
+
+  // logger.error("...", error) is a shorthand for { err: error }
+  const extra = fields instanceof Error ? { err: fields } : fields;
+
+  const line = JSON.stringify({
+    level,
+    time: new Date().toISOString(),
+    ...redact(bindings),
+    msg: message,
+    ...redact(extra),
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+// one JSON object per line, child loggers add their bindings (e.g. requestId)
+// to every line they write
+const createLogger = (bindings = {}) => ({
+  debug: (message, fields) => write("debug", bindings, message, fields),
+  info: (message, fields) => write("info", bindings, message, fields),
+  warn: (message, fields) => write("warn", bindings, message, fields),
+  error: (message, fields) => write("error", bindings, message, fields),
+  child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+});
+
+const logger = createLogger();
+
+export { logger, redact, redactUrl };
@@ -0,0 +1,106 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+// every transport exposes the same shape: { name, send(mail), verify() }
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.MAILTRAP_SMTP_HOST,
+    port: process.env.MAILTRAP_SMTP_PORT,
+    auth: {
+      user: process.env.MAILTRAP_SMTP_USER,
+      pass: process.env.MAILTRAP_SMTP_PASS,
+    },
+  });
+
+  return {
+    name: "smtp",
+    send: async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    },
+    verify: () => transporter.verify(),
+  };
+};
+
+// writes each mail as a json file, handy for offline development
+const createFileTransport = (mailboxDir = process.env.MAIL_FILE_DIR) => {
+  const dir = mailboxDir || ".mailbox";
+
+  return {
+    name: "file",
+    dir,
+    send: async (mail) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.promises.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ messageId, date: new Date(), ...mail }, null, 2),
+      );
+
+      return { messageId };
+    },
+    verify: async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      return true;
+    },
+  };
+};
+
+// keeps mails in the process, meant for tests
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: "memory",
+    messages,
+    send: async (mail) => {
+      const messageId = `${Date.now()}-${messages.length}`;
+      messages.push({ messageId, date: new Date(), ...mail });
+      return { messageId };
+    },
+    verify: async () => true,
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+let mailTransport = null;
+
+// MAIL_TRANSPORT picks the transport, without it smtp is used only when configured
+const getMailTransport = () => {
+  if (!mailTransport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.MAILTRAP_SMTP_HOST ? "smtp" : "file");
+
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+
+    mailTransport = factory();
+  }
+
+  return mailTransport;
+};
+
+const setMailTransport = (transport) => {
+  mailTransport = transport;
+};
+
+export {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  getMailTransport,
+  setMailTransport,
+};
@@ -0,0 +1,145 @@
+import { Mail } from "../models/mail.models.js";
+import { MailStatusEnum } from "./constants.js";
+import { getMailTransport } from "./mail-transport.js";
+import { recordMailDelivery } from "./metrics.js";
+import { logger } from "./logger.js";
+
+const RETRY_BASE_DELAY = 30 * 1000; //30 sec
+const RETRY_MAX_DELAY = 60 * 60 * 1000; //1 hour
+const SENDING_LOCK_TIMEOUT = 5 * 60 * 1000; //5 min
+const FINISHED_MAIL_RETENTION = 30 * 24 * 60 * 60 * 1000; //30 days
+
+// drops the body (it may hold token links) and lets the TTL index remove the
+// row later, only the delivery metadata is kept until then
+const finishMail = (mail) => {
+  mail.text = undefined;
+  mail.html = undefined;
+  mail.expiresAt = Date.now() + FINISHED_MAIL_RETENTION;
+};
+
+const getRetryDelay = (attempts) => {
+  return Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempts - 1));
+};
+
+// sends one outbox mail and records the outcome on it
+const deliverMail = async (mail) => {
+  const transport = getMailTransport();
+  mail.attempts += 1;
+  mail.transport = transport.name;
+
+  try {
+    const { messageId } = await transport.send({
+      from: mail.from,
+      to: mail.to,
+      subject: mail.subject,
+      text: mail.text,
+      html: mail.html,
+    });
+
+    recordMailDelivery(transport.name, true);
+
+    mail.status = MailStatusEnum.SENT;
+    mail.sentAt = Date.now();
+    mail.messageId = messageId;
+    mail.lastError = undefined;
+    mail.lockedAt = undefined;
+    finishMail(mail);
+    await mail.save();
+
+    return { sent: true };
+  } catch (error) {
+    recordMailDelivery(transport.name, false);
+
+    const gaveUp = mail.attempts >= mail.maxAttempts;
+
+    mail.status = gaveUp ? MailStatusEnum.FAILED : MailStatusEnum.PENDING;
+    mail.lastError = error.message;
+    mail.nextAttemptAt = Date.now() + getRetryDelay(mail.attempts);
+    mail.lockedAt = undefined;
+    if (gaveUp) finishMail(mail);
+    await mail.save();
+
+    logger.warn("Mail delivery failed", {
+      mailId: mail._id,
+      to: mail.to,
+      attempt: mail.attempts,
+      maxAttempts: mail.maxAttempts,
+      gaveUp,
+      error: error.message,
+    });
+
+    return { sent: false, error };
+  }
+};
+
+// claims due mails one by one so several processes can share the outbox
+const processMailOutbox = async (batchSize = 10) => {
+  let processed = 0;
+
+  while (processed < batchSize) {
+    const now = Date.now();
+
+    const mail = await Mail.findOneAndUpdate(
+      {
+        $or: [
+          { status: MailStatusEnum.PENDING, nextAttemptAt: { $lte: now } },
+          // a process died while sending
+          {
+            status: MailStatusEnum.SENDING,
+            lockedAt: { $lt: now - SENDING_LOCK_TIMEOUT },
+          },
+        ],
+      },
+      { $set: { status: MailStatusEnum.SENDING, lockedAt: now } },
+      { sort: { nextAttemptAt: 1 }, new: true },
+    );
+
+    if (!mail) break;
+
+    await deliverMail(mail);
+    processed++;
+  }
+
+  return processed;
+};
+
+// mails finished before bodies were dropped still hold them and never expire
+const purgeFinishedMails = () => {
+  return Mail.updateMany(
+    {
+      status: { $in: [MailStatusEnum.SENT, MailStatusEnum.FAILED] },
+      expiresAt: null,
+    },
+    {
+      $unset: { text: 1, html: 1 },
+      $set: { expiresAt: Date.now() + FINISHED_MAIL_RETENTION },
+    },
+  );
+};
+
+const startMailWorker = ({ intervalMs = 30 * 1000 } = {}) => {
+  let running = false;
+
+  purgeFinishedMails().catch((error) =>
+    logger.error("Error while purging finished mails", error),
+  );
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await processMailOutbox();
+    } catch (error) {
+      logger.error("Mail worker ERROR", error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export { deliverMail, processMailOutbox, startMailWorker };
@@ -1,41 +1,40 @@
 import Mailgen from "mailgen";
-import nodemailer from "nodemailer";
+import { Mail } from "../models/mail.models.js";
+import { MailStatusEnum } from "./constants.js";
+import { deliverMail } from "./mail-worker.js";
 
-const sendEmail = async (options) => {
-  const mailGenerator = new Mailgen({
-    theme: "default",
-    product: {
-      name: "Project-Management",
-      link: "https://github.com/sagnikbera/Project-Management-Application-Backend",
-    },
-  });
+const mailGenerator = new Mailgen({
+  theme: "default",
+  product: {
+    name: "Project-Management",
+    link: "https://github.com/sagnikbera/Project-Management-Application-Backend",
+  },
+});
 
+// stores the mail in the outbox and tries to send it right away,
+// failed mails stay in the outbox and are retried by the mail worker
+const sendEmail = async (options) => {
   const emailTexual = mailGenerator.generatePlaintext(options.mailgenContent);
   const emailHTML = mailGenerator.generate(options.mailgenContent);
 
-  const transporter = nodemailer.createTransport({
-    host: process.env.MAILTRAP_SMTP_HOST,
-    port: process.env.MAILTRAP_SMTP_PORT,
-    auth: {
-      user: process.env.MAILTRAP_SMTP_USER,
-      pass: process.env.MAILTRAP_SMTP_PASS,
-    },
-  });
-
-  const mail = {
-    from: "mail.projectmanager@example.com",
+  const mail = await Mail.create({
+    from: process.env.MAIL_FROM || "mail.projectmanager@example.com",
     to: options.email,
     subject: options.subject,
     text: emailTexual,
     html: emailHTML,
-  };
+    status: MailStatusEnum.SENDING,
+    lockedAt: Date.now(),
+  });
 
-  try {
-    await transporter.sendMail(mail);
-  } catch (error) {
-    console.error("may be happen for MAILTRAP credentials");
-    console.error("Error : ", error);
-  }
+  const { sent, error } = await deliverMail(mail);
+
+  return {
+    mailId: mail._id,
+    sent,
+    queued: !sent && mail.status === MailStatusEnum.PENDING,
+    error: error?.message,
+  };
 };
 
 const emailVerificationMail = (username, verificationUrl) => {
@@ -78,4 +77,227 @@ const forgotPasswordMail = (username, passwordResetUrl) => {
   };
 };
 
-export { emailVerificationMail, forgotPasswordMail, sendEmail };
+const emailChangeMail = (username, newEmail, verificationUrl) => {
+  return {
+    body: {
+      name: username,
+      intro: `We got a request to change the email of your account to ${newEmail}.`,
+      action: {
+        instructions:
+          "To confirm your new email please click on the following button.",
+        button: {
+          color: "#22BC66",
+          text: "Confirm your email",
+          link: verificationUrl,
+        },
+      },
+      outro:
+        "Need help, or have question? Connect to linkedIn (https://www.linkedin.com/in/sagnik-bera/)",
+    },
+  };
+};
+
+const emailChangedMail = (username, newEmail) => {
+  return {
+    body: {
+      name: username,
+      intro: [
+        `The email of your account has been changed to ${newEmail}.`,
+        "If this was not you, please contact us right away.",
+      ],
+      outro:
+        "Need help, or have question? Connect to linkedIn (https://www.linkedin.com/in/sagnik-bera/)",
+    },
+  };
+};
+
+const taskDueSoonMail = (
+  username,
+  taskTitle,
+  projectName,
+  dueDate,
+  taskUrl,
+) => {
+  return {
+    body: {
+      name: username,
+      intro: `Your task "${taskTitle}" in ${projectName} is due on ${new Date(dueDate).toUTCString()}.`,
+      action: {
+        instructions: "To open the task click on the following button.",
+        button: {
+          color: "#22BC66",
+          text: "Open Task",
+          link: taskUrl,
+        },
+      },
+      outro: "You can mute task reminders from your notification preferences.",
+    },
+  };
+};
+
+const taskOverdueMail = (
+  username,
+  taskTitle,
+  projectName,
+  dueDate,
+  taskUrl,
+) => {
+  return {
+    body: {
+      name: username,
+      intro: `Your task "${taskTitle}" in ${projectName} was due on ${new Date(dueDate).toUTCString()} and is now overdue.`,
+      action: {
+        instructions:
+          "To update the task or its due date click on the following button.",
+        button: {
+          color: "#DC4D2F",
+          text: "Open Task",
+          link: taskUrl,
+        },
+      },
+      outro: "You can mute task reminders from your notification preferences.",
+    },
+  };
+};
+
+const projectInvitationMail = (
+  inviterName,
+  projectName,
+  role,
+  invitationUrl,
+) => {
+  return {
+    body: {
+      intro: `${inviterName} has invited you to join the project "${projectName}" as ${role}.`,
+      action: {
+        instructions:
+          "To accept the invitation please click on the following button. The invitation expires in 7 days.",
+        button: {
+          color: "#22BC66",
+          text: "Join Project",
+          link: invitationUrl,
+        },
+      },
+      outro:
+        "If you were not expecting this invitation, you can ignore this email.",
+    },
+  };
+};
+
+const accountLockedMail = (username, unlockUrl, lockedUntil) => {
+  return {
+    body: {
+      name: username,
+      intro: [
+        "Your account has been locked after several failed login attempts.",
+        `It will unlock automatically at ${new Date(lockedUntil).toUTCString()}.`,
+      ],
+      action: {
+        instructions:
+          "If this was you, you can unlock your account right away with the following button. If it was not you, consider resetting your password.",
+        button: {
+          color: "#22BC66",
+          text: "Unlock Account",
+          link: unlockUrl,
+        },
+      },
+      outro:
+        "Need help, or have question? Connect to linkedIn (https://www.linkedin.com/in/sagnik-bera/)",
+    },
+  };
+};
+
+const commentMentionMail = (
+  username,
+  mentionedBy,
+  taskTitle,
+  commentExcerpt,
+  taskUrl,
+) => {
+  return {
+    body: {
+      name: username,
+      intro: `${mentionedBy} mentioned you in a comment on "${taskTitle}".`,
+      dictionary: {
+        Comment: commentExcerpt,
+      },
+      action: {
+        instructions: "To reply please click on the following button.",
+        button: {
+          color: "#22BC66",
+          text: "View Comment",
+          link: taskUrl,
+        },
+      },
+      outro:
+        "Need help, or have question? Connect to linkedIn (https://www.linkedin.com/in/sagnik-bera/)",
+    },
+  };
+};
+
+const notificationMail = (username, title, message, link) => {
+  return {
+    body: {
+      name: username,
+      intro: [title, message].filter(Boolean),
+      ...(link && {
+        action: {
+          instructions:
+            "To see the details please click on the following button.",
+          button: {
+            color: "#22BC66",
+            text: "Open",
+            link,
+          },
+        },
+      }),
+      outro:
+        "You can change how you get these mails from your notification preferences.",
+    },
+  };
+};
+
+const notificationDigestMail = (username, notifications, appUrl) => {
+  return {
+    body: {
+      name: username,
+      intro: `Here is what happened since your last digest (${notifications.length} updates).`,
+      table: {
+        data: notifications.map((notification) => ({
+          update: notification.title,
+          date: new Date(notification.createdAt).toUTCString(),
+        })),
+        columns: {
+          customWidth: {
+            date: "35%",
+          },
+        },
+      },
+      action: {
+        instructions: "To see all your notifications click on the button.",
+        button: {
+          color: "#22BC66",
+          text: "Open Notifications",
+          link: appUrl,
+        },
+      },
+      outro:
+        "You can change how you get these mails from your notification preferences.",
+    },
+  };
+};
+
+export {
+  accountLockedMail,
+  notificationMail,
+  notificationDigestMail,
+  commentMentionMail,
+  emailChangeMail,
+  emailChangedMail,
+  emailVerificationMail,
+  forgotPasswordMail,
+  projectInvitationMail,
+  sendEmail,
+  taskDueSoonMail,
+  taskOverdueMail,
+};
@@ -0,0 +1,52 @@
+import client from "prom-client";
+
+// one registry for the whole process, served by GET /metrics
+const metricsRegistry = new client.Registry();
+
+client.collectDefaultMetrics({ register: metricsRegistry });
+
+const httpRequestsTotal = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests by method, route and status code",
+  labelNames: ["method", "route", "status_code"],
+  registers: [metricsRegistry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by method, route and status code",
+  labelNames: ["method", "route", "status_code"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [metricsRegistry],
+});
+
+const httpErrorsTotal = new client.Counter({
+  name: "http_errors_total",
+  help: "HTTP responses with a 4xx or 5xx status code",
+  labelNames: ["status_code"],
+  registers: [metricsRegistry],
+});
+
+const mailDeliveriesTotal = new client.Counter({
+  name: "mail_deliveries_total",
+  help: "Mail delivery attempts by transport and result",
+  labelNames: ["transport", "result"],
+  registers: [metricsRegistry],
+});
+
+const observeHttpRequest = ({ method, route, statusCode, durationSeconds }) => {
+  const labels = { method, route, status_code: statusCode };
+
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+
+  if (statusCode >= 400) {
+    httpErrorsTotal.inc({ status_code: statusCode });
+  }
+};
+
+const recordMailDelivery = (transport, sent) => {
+  mailDeliveriesTotal.inc({ transport, result: sent ? "success" : "failure" });
+};
+
+export { metricsRegistry, observeHttpRequest, recordMailDelivery };
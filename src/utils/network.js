@@ -0,0 +1,67 @@
+import dns from "dns";
+import net from "net";
+
+// loopback, private, link-local, unique-local and other non public ranges,
+// a webhook must never reach the server's own network. One list per family,
+// a BlockList also matches IPv4 addresses against ::ffff:0:0/96
+const blockedAddresses = {
+  ipv4: new net.BlockList(),
+  ipv6: new net.BlockList(),
+};
+
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.ipv4.addSubnet(network, prefix, "ipv4");
+}
+
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  // IPv4-mapped, e.g. ::ffff:127.0.0.1
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.ipv6.addSubnet(network, prefix, "ipv6");
+}
+
+const isPublicAddress = (address) => {
+  const family = net.isIPv4(address) ? "ipv4" : "ipv6";
+  return !blockedAddresses[family].check(address, family);
+};
+
+//! Resolve the host of a url and make sure every address is public
+// runs again right before each request, the DNS answer can change in between
+const assertPublicUrl = async (url) => {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, "");
+
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  if (!addresses.length) {
+    throw new Error(`${hostname} could not be resolved`);
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+
+  if (blocked) {
+    throw new Error(`${hostname} resolves to a non public address`);
+  }
+};
+
+export { assertPublicUrl, isPublicAddress };
@@ -0,0 +1,148 @@
+import { User } from "../models/user.models.js";
+import { Notification } from "../models/notification.models.js";
+import { NotificationDeliveryEnum } from "./constants.js";
+import { notificationDigestMail, notificationMail, sendEmail } from "./mail.js";
+import { logger } from "./logger.js";
+
+const DIGEST_INTERVAL = 24 * 60 * 60 * 1000; //1 day
+
+// creates an in-app notification and mails it the way the recipient prefers,
+// a failure here must never fail the request
+// `mail` can carry a richer { subject, mailgenContent } for the instant mail,
+// or be false when the caller already mailed the user
+const notify = async (
+  req,
+  { recipient, type, title, message, link, project, task, mail },
+) => {
+  try {
+    // nobody needs to be told about their own actions
+    if (!recipient || String(recipient) === String(req?.user?._id)) {
+      return null;
+    }
+
+    const user = await User.findById(recipient).select(
+      "username email notificationPreferences",
+    );
+
+    if (!user) return null;
+
+    const delivery =
+      user.notificationPreferences?.[type] || NotificationDeliveryEnum.INSTANT;
+
+    const notification = await Notification.create({
+      recipient: user._id,
+      actor: req?.user?._id,
+      type,
+      title,
+      message,
+      link,
+      project,
+      task,
+      digestPending: delivery === NotificationDeliveryEnum.DIGEST,
+    });
+
+    if (delivery === NotificationDeliveryEnum.INSTANT && mail !== false) {
+      // the outbox retries failed mails so a queued mail counts as emailed
+      await sendEmail({
+        email: user.email,
+        subject: mail?.subject || title,
+        mailgenContent:
+          mail?.mailgenContent ||
+          notificationMail(user.username, title, message, link),
+      });
+
+      notification.emailedAt = Date.now();
+      await notification.save();
+    }
+
+    return notification;
+  } catch (error) {
+    logger.error("Error while creating notification", error);
+    return null;
+  }
+};
+
+// mails one digest per user with pending notifications, at most once a day
+const sendNotificationDigests = async () => {
+  const recipients = await Notification.distinct("recipient", {
+    digestPending: true,
+  });
+  let sent = 0;
+
+  for (const recipient of recipients) {
+    const now = Date.now();
+
+    // claiming the user keeps two processes from mailing the same digest
+    const user = await User.findOneAndUpdate(
+      {
+        _id: recipient,
+        $or: [
+          { lastDigestSentAt: { $exists: false } },
+          { lastDigestSentAt: null },
+          { lastDigestSentAt: { $lte: now - DIGEST_INTERVAL } },
+        ],
+      },
+      { $set: { lastDigestSentAt: now } },
+    ).select("username email");
+
+    if (!user) continue;
+
+    const notifications = await Notification.find({
+      recipient: user._id,
+      digestPending: true,
+    }).sort({ createdAt: 1 });
+
+    // already read in the app, no need to mail them
+    const unread = notifications.filter((notification) => !notification.isRead);
+
+    if (unread.length) {
+      await sendEmail({
+        email: user.email,
+        subject: `Your daily digest: ${unread.length} new updates`,
+        mailgenContent: notificationDigestMail(
+          user.username,
+          unread,
+          `${process.env.CLIENT_URL}/notifications`,
+        ),
+      });
+
+      await Notification.updateMany(
+        { _id: { $in: unread.map((notification) => notification._id) } },
+        { $set: { emailedAt: now } },
+      );
+      sent++;
+    }
+
+    await Notification.updateMany(
+      { _id: { $in: notifications.map((notification) => notification._id) } },
+      { $set: { digestPending: false } },
+    );
+  }
+
+  return sent;
+};
+
+const startNotificationDigestWorker = ({
+  intervalMs = 60 * 60 * 1000,
+} = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await sendNotificationDigests();
+    } catch (error) {
+      logger.error("Notification digest worker ERROR", error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export { notify, sendNotificationDigests, startNotificationDigestWorker };
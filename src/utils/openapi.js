@@ -0,0 +1,515 @@
+import fs from "fs";
+import { verifyAdmin, verifyJWT } from "../middlewares/JWTauth.middleware.js";
+
+const packageJson = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf-8"),
+);
+
+const CONTROLLERS_DIR = new URL("../controllers/", import.meta.url);
+const OBJECT_ID_PATTERN = "^[0-9a-fA-F]{24}$";
+const BODY_METHODS = ["post", "put", "patch", "delete"];
+
+// handlers that answer with a file instead of the ApiResponse envelope
+const FILE_RESPONSES = {
+  downloadTaskAttachment: {
+    "application/octet-stream": {
+      schema: { type: "string", format: "binary" },
+    },
+  },
+  exportProject: {
+    "application/json": {
+      schema: { type: "object", description: "Project export document" },
+    },
+  },
+  exportProjectTasksCsv: { "text/csv": { schema: { type: "string" } } },
+};
+
+// handlers that read the whole json body instead of validated fields
+const FREE_FORM_BODIES = {
+  importProject: "A project export document, or upload it as a file",
+};
+
+//! Map every exported controller handler to its export name
+const loadOperationNames = async () => {
+  const operationNames = new Map();
+
+  const files = fs
+    .readdirSync(CONTROLLERS_DIR)
+    .filter((file) => file.endsWith(".controller.js"))
+    .sort();
+
+  for (const file of files) {
+    const controller = await import(new URL(file, CONTROLLERS_DIR));
+
+    for (const [name, handler] of Object.entries(controller)) {
+      if (typeof handler === "function") operationNames.set(handler, name);
+    }
+  }
+
+  return operationNames;
+};
+
+//! getTaskById -> "Get task by id"
+const toSummary = (operationId) => {
+  const words = operationId.replace(/([a-z0-9])([A-Z])/g, "$1 $2").split(" ");
+  const sentence = words.join(" ").toLowerCase();
+  return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+};
+
+const joinPath = (mountPath, routePath) => {
+  const path = `${mountPath}${routePath === "/" ? "" : routePath}`;
+  // express ":param" -> openapi "{param}"
+  return path.replace(/:(\w+)/g, "{$1}");
+};
+
+//! Build a json schema out of the validators of one express-validator chain
+const describeChain = (chain) => {
+  const schema = {};
+  const notes = [];
+  let notEmpty = false;
+
+  for (const item of chain.builder.stack) {
+    if (item.constructor.name === "CustomValidation") {
+      // express-validator implements isArray() as a custom validator
+      if (String(item.validator).includes("Array.isArray(value)")) {
+        schema.type = "array";
+      } else if (typeof item.message === "string") {
+        notes.push(item.message);
+      }
+      continue;
+    }
+
+    if (item.constructor.name !== "StandardValidation") continue;
+
+    const [options] = item.options;
+
+    if (item.negated) {
+      if (item.validator.name === "isEmpty") notEmpty = true;
+      continue;
+    }
+
+    switch (item.validator.name) {
+      case "isEmail":
+        schema.format = "email";
+        break;
+      case "isURL":
+        schema.format = "uri";
+        break;
+      case "isISO8601":
+        schema.format = "date-time";
+        break;
+      case "isMongoId":
+        schema.pattern = OBJECT_ID_PATTERN;
+        break;
+      case "matches":
+        schema.pattern = options instanceof RegExp ? options.source : options;
+        break;
+      case "isIn":
+        schema.enum = [...options];
+        break;
+      case "isLength":
+        if (options?.min !== undefined) schema.minLength = options.min;
+        if (options?.max !== undefined) schema.maxLength = options.max;
+        break;
+      case "isBoolean":
+        schema.type = "boolean";
+        break;
+      case "isInt":
+        schema.type = "integer";
+        if (options?.min !== undefined) schema.minimum = options.min;
+        if (options?.max !== undefined) schema.maximum = options.max;
+        break;
+    }
+  }
+
+  schema.type ??= "string";
+
+  if (schema.type === "string" && notEmpty) {
+    schema.minLength = Math.max(schema.minLength || 0, 1);
+  }
+
+  if (notes.length) schema.description = notes.join(" ");
+
+  if (chain.builder.optional === "null") {
+    schema.type = [schema.type, "null"];
+  }
+
+  return schema;
+};
+
+//! Add a field like "events.*" or "project.name" to an object schema
+const addProperty = (objectSchema, field, schema, required) => {
+  const segments = field.split(".");
+  let node = objectSchema;
+
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+
+    if (segment === "*") {
+      node.type = "array";
+      node.items ??= {};
+      if (isLast) Object.assign(node.items, schema);
+      else node = node.items;
+      return;
+    }
+
+    node.type ??= "object";
+    node.properties ??= {};
+
+    if (!isLast) {
+      node = node.properties[segment] ??= {};
+      return;
+    }
+
+    node.properties[segment] = { ...node.properties[segment], ...schema };
+
+    if (required) {
+      node.required ??= [];
+      if (!node.required.includes(segment)) node.required.push(segment);
+    }
+  });
+};
+
+//! Collect the body, query and path fields validated on a route
+const describeValidation = (chains) => {
+  const body = { type: "object" };
+  const query = {};
+  const params = {};
+
+  for (const chain of chains) {
+    const { fields, locations, optional } = chain.builder;
+    const schema = describeChain(chain);
+    const required = !optional;
+
+    for (const field of fields) {
+      // body() without a field validates the body as a whole
+      if (!field) continue;
+
+      for (const location of locations) {
+        if (location === "body") {
+          addProperty(body, field, schema, required);
+        } else if (location === "query") {
+          query[field] = {
+            schema: { ...query[field]?.schema, ...schema },
+            required,
+          };
+        } else if (location === "params") {
+          params[field] = schema;
+        }
+      }
+    }
+  }
+
+  return { body: body.properties ? body : null, query, params };
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": { schema: { $ref: "#/components/schemas/ApiError" } },
+  },
+});
+
+//! Describe one method of one route
+const describeOperation = ({ method, path, handlers }, tag, operationNames) => {
+  const handler = handlers.at(-1);
+  const operationId =
+    operationNames.get(handler) ||
+    `${method}${path.replace(/[^a-zA-Z0-9]+(\w)?/g, (_, char = "") => char.toUpperCase())}`;
+
+  const metadata = Object.assign(
+    {},
+    ...handlers.map((middleware) => middleware.openapi || {}),
+  );
+  const tokenResource = metadata.personalTokenResource;
+  const tokenScope =
+    tokenResource &&
+    `${["get", "head"].includes(method) ? "read" : "write"}:${tokenResource}`;
+  const isSecure = handlers.includes(verifyJWT) || Boolean(tokenResource);
+  const isAdminOnly = handlers.includes(verifyAdmin);
+  const chains = handlers.filter((middleware) => middleware.builder?.fields);
+  const validation = describeValidation(chains);
+
+  const description = [];
+
+  if (isAdminOnly) {
+    description.push("Only system admins listed in ADMIN_EMAILS.");
+  }
+
+  if (metadata.projectRoles?.length) {
+    description.push(
+      `Project roles allowed: ${metadata.projectRoles.join(", ")}.`,
+    );
+  } else if (metadata.projectRoles) {
+    description.push("Any project member.");
+  }
+
+  if (tokenScope) {
+    description.push(
+      `Personal access tokens need the ${tokenScope} scope${tokenScope.startsWith("read") ? ` (or write:${tokenResource})` : ""}.`,
+    );
+  }
+
+  if (metadata.rateLimit) {
+    description.push(
+      `Rate limited (${metadata.rateLimit.max} requests per ${metadata.rateLimit.windowMs / 1000}s by default).`,
+    );
+  }
+
+  const parameters = [];
+
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    // e.g. "/reset-password{resetToken}", the value follows the path directly
+    const isInline = !path.includes(`/{${name}}`);
+
+    parameters.push({
+      name,
+      in: "path",
+      required: true,
+      schema: validation.params[name] || {
+        type: "string",
+        ...(name.endsWith("Id") && { pattern: OBJECT_ID_PATTERN }),
+      },
+      ...(isInline && {
+        description:
+          "Appended directly to the preceding path segment, without a slash.",
+      }),
+    });
+  }
+
+  for (const [name, { schema, required }] of Object.entries(validation.query)) {
+    parameters.push({ name, in: "query", required, schema });
+  }
+
+  const operation = {
+    tags: [tag],
+    operationId,
+    summary: toSummary(operationId),
+    ...(description.length && { description: description.join(" ") }),
+    ...(metadata.projectRoles && { "x-project-roles": metadata.projectRoles }),
+    ...(parameters.length && { parameters }),
+  };
+
+  if (BODY_METHODS.includes(method)) {
+    const content = {};
+    const { upload } = metadata;
+
+    if (validation.body) {
+      content["application/json"] = { schema: validation.body };
+    }
+
+    if (FREE_FORM_BODIES[operationId]) {
+      content["application/json"] = {
+        schema: { type: "object", description: FREE_FORM_BODIES[operationId] },
+      };
+    }
+
+    if (upload) {
+      const file = { type: "string", format: "binary" };
+
+      content["multipart/form-data"] = {
+        schema: {
+          type: "object",
+          properties: {
+            ...validation.body?.properties,
+            [upload.fieldName]:
+              upload.maxCount > 1
+                ? { type: "array", maxItems: upload.maxCount, items: file }
+                : file,
+          },
+          required: [...(validation.body?.required || []), upload.fieldName],
+        },
+        encoding: {
+          [upload.fieldName]: { contentType: upload.mimeTypes.join(", ") },
+        },
+      };
+    }
+
+    if (Object.keys(content).length) {
+      operation.requestBody = {
+        required: Boolean(validation.body?.required || upload),
+        content,
+      };
+    }
+  }
+
+  operation.responses = {
+    "2XX": FILE_RESPONSES[operationId]
+      ? { description: "File download", content: FILE_RESPONSES[operationId] }
+      : { $ref: "#/components/responses/Success" },
+    400: { $ref: "#/components/responses/BadRequest" },
+    ...(isSecure && { 401: { $ref: "#/components/responses/Unauthorized" } }),
+    ...((isAdminOnly || metadata.projectRoles || tokenScope) && {
+      403: { $ref: "#/components/responses/Forbidden" },
+    }),
+    404: { $ref: "#/components/responses/NotFound" },
+    ...(metadata.upload && {
+      413: { $ref: "#/components/responses/PayloadTooLarge" },
+      415: { $ref: "#/components/responses/UnsupportedMediaType" },
+    }),
+    ...(chains.length && {
+      422: { $ref: "#/components/responses/ValidationError" },
+    }),
+    ...(metadata.rateLimit && {
+      429: { $ref: "#/components/responses/TooManyRequests" },
+    }),
+    500: { $ref: "#/components/responses/ServerError" },
+  };
+
+  if (isSecure) {
+    operation.security = [
+      { bearerAuth: [] },
+      { cookieAuth: [] },
+      ...(tokenScope ? [{ personalToken: [tokenScope] }] : []),
+    ];
+  }
+
+  return operation;
+};
+
+//! Walk a router and list every route with the middlewares it runs through
+const collectRoutes = (mountPath, router) => {
+  const routes = [];
+  const routerMiddlewares = [];
+
+  for (const layer of router.stack) {
+    // router.use(...) applies to every route registered after it
+    if (!layer.route) {
+      routerMiddlewares.push(layer.handle);
+      continue;
+    }
+
+    const methods = [
+      ...new Set(layer.route.stack.map((routeLayer) => routeLayer.method)),
+    ].filter(Boolean);
+
+    for (const method of methods) {
+      routes.push({
+        method,
+        path: joinPath(mountPath, layer.route.path),
+        handlers: [
+          ...routerMiddlewares,
+          ...layer.route.stack
+            .filter((routeLayer) => routeLayer.method === method)
+            .map((routeLayer) => routeLayer.handle),
+        ],
+      });
+    }
+  }
+
+  return routes;
+};
+
+//! Build the OpenAPI document from [[mountPath, router]] pairs
+const buildOpenApiDocument = async (apiRoutes) => {
+  const operationNames = await loadOperationNames();
+  const paths = {};
+  const tags = [];
+  const operationIds = new Set();
+
+  for (const [mountPath, router] of apiRoutes) {
+    const tag = mountPath.split("/").filter(Boolean).at(-1);
+    tags.push({ name: tag });
+
+    for (const route of collectRoutes(mountPath, router)) {
+      const operation = describeOperation(route, tag, operationNames);
+
+      // a handler mounted on several paths, e.g. healthCheck -> healthCheckReady
+      if (operationIds.has(operation.operationId)) {
+        const segment = route.path.split("/").at(-1).replace(/\W/g, "");
+        operation.operationId += `${segment.charAt(0).toUpperCase()}${segment.slice(1)}`;
+      }
+      operationIds.add(operation.operationId);
+
+      paths[route.path] ??= {};
+      paths[route.path][route.method] = operation;
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: packageJson.name,
+      version: packageJson.version,
+      description: packageJson.description,
+    },
+    tags,
+    paths,
+    components: {
+      schemas: {
+        ApiResponse: {
+          type: "object",
+          required: ["statusCode", "data", "message", "success"],
+          properties: {
+            statusCode: { type: "integer", minimum: 200, maximum: 399 },
+            data: {},
+            message: { type: "string" },
+            success: { type: "boolean", const: true },
+          },
+        },
+        ApiError: {
+          type: "object",
+          required: [
+            "statusCode",
+            "data",
+            "message",
+            "success",
+            "errors",
+            "requestId",
+          ],
+          properties: {
+            statusCode: { type: "integer", minimum: 400, maximum: 599 },
+            data: { type: "null" },
+            message: { type: "string" },
+            success: { type: "boolean", const: false },
+            errors: {
+              type: "array",
+              description: "One { field: message } object per problem",
+              items: { type: "object", additionalProperties: true },
+            },
+            requestId: {
+              type: "string",
+              description: "Same as the X-Request-Id response header",
+            },
+            stack: {
+              type: "string",
+              description: "Only outside of production",
+            },
+          },
+        },
+      },
+      responses: {
+        Success: {
+          description: "Success",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ApiResponse" },
+            },
+          },
+        },
+        BadRequest: errorResponse("Bad request"),
+        Unauthorized: errorResponse("Missing, invalid or expired access token"),
+        Forbidden: errorResponse("Not allowed to perform this action"),
+        NotFound: errorResponse("Resource not found"),
+        PayloadTooLarge: errorResponse("Uploaded file is too large"),
+        UnsupportedMediaType: errorResponse("File type is not allowed"),
+        ValidationError: errorResponse("Recieved data is not valid"),
+        TooManyRequests: errorResponse("Too many requests"),
+        ServerError: errorResponse("Something went wrong"),
+      },
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        cookieAuth: { type: "apiKey", in: "cookie", name: "accessToken" },
+        personalToken: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "pat_",
+          description:
+            "Personal access token, created under /api/v1/users/me/tokens",
+        },
+      },
+    },
+  };
+};
+
+export { buildOpenApiDocument };
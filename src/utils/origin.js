@@ -0,0 +1,16 @@
+const DEFAULT_ORIGIN = "https://localhost:5173";
+
+// read per call, .env is loaded after the modules are imported
+// (also used for the Origin check of the realtime websocket)
+const getAllowedOrigins = () => {
+  const origins = (process.env.CORS_ORIGIN || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  return origins.length ? origins : [DEFAULT_ORIGIN];
+};
+
+const isAllowedOrigin = (origin) => getAllowedOrigins().includes(origin);
+
+export { getAllowedOrigins, isAllowedOrigin };
@@ -0,0 +1,98 @@
+import { RateLimit } from "../models/ratelimit.models.js";
+
+// every store exposes: increment(key, windowMs) -> { count, resetAt } and reset(key)
+
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, hit] of hits) {
+      if (hit.resetAt <= now) hits.delete(key);
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let hit = hits.get(key);
+
+      if (!hit || hit.resetAt <= now) {
+        hit = { count: 0, resetAt: now + windowMs };
+        hits.set(key, hit);
+      }
+
+      hit.count += 1;
+      return { count: hit.count, resetAt: hit.resetAt };
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    },
+  };
+};
+
+// shared between processes, counters expire through a TTL index
+const incrementMongoCounter = async (key, windowMs, retry = true) => {
+  const now = Date.now();
+
+  let hit = await RateLimit.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true },
+  );
+
+  if (!hit) {
+    try {
+      hit = await RateLimit.findOneAndUpdate(
+        { key },
+        { $set: { count: 1, expiresAt: now + windowMs } },
+        { new: true, upsert: true },
+      );
+    } catch (error) {
+      // another request created the counter first
+      if (error?.code === 11000 && retry) {
+        return incrementMongoCounter(key, windowMs, false);
+      }
+      throw error;
+    }
+  }
+
+  return { count: hit.count, resetAt: hit.expiresAt.getTime() };
+};
+
+const createMongoStore = () => {
+  return {
+    name: "mongo",
+    increment: (key, windowMs) => incrementMongoCounter(key, windowMs),
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+};
+
+let rateLimitStore = null;
+
+// RATE_LIMIT_STORE picks the store, memory by default
+const getRateLimitStore = () => {
+  if (!rateLimitStore) {
+    rateLimitStore =
+      process.env.RATE_LIMIT_STORE === "mongo"
+        ? createMongoStore()
+        : createMemoryStore();
+  }
+
+  return rateLimitStore;
+};
+
+const setRateLimitStore = (store) => {
+  rateLimitStore = store;
+};
+
+export {
+  createMemoryStore,
+  createMongoStore,
+  getRateLimitStore,
+  setRateLimitStore,
+};
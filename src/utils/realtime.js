@@ -0,0 +1,303 @@
+import { WebSocketServer } from "ws";
+import cookieParser from "cookie-parser";
+import mongoose from "mongoose";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Session } from "../models/session.models.js";
+import {
+  authenticateAccessToken,
+  getAccessToken,
+} from "../middlewares/JWTauth.middleware.js";
+import { RealtimeEventEnum } from "./constants.js";
+import { logger } from "./logger.js";
+import { isAllowedOrigin } from "./origin.js";
+
+const REALTIME_PATH = "/api/v1/realtime";
+const HEARTBEAT_INTERVAL = 30 * 1000; //30 sec
+
+// projectId -> sockets subscribed to it, kept in memory so events only
+// reach clients connected to this process
+const projectSubscribers = new Map();
+
+// sessionId -> open sockets, so revoking a session can close them
+const sessionSockets = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const subscribe = (socket, projectId) => {
+  if (!projectSubscribers.has(projectId)) {
+    projectSubscribers.set(projectId, new Set());
+  }
+
+  projectSubscribers.get(projectId).add(socket);
+  socket.projects.add(projectId);
+};
+
+const unsubscribe = (socket, projectId) => {
+  const sockets = projectSubscribers.get(projectId);
+
+  if (sockets) {
+    sockets.delete(socket);
+    if (!sockets.size) projectSubscribers.delete(projectId);
+  }
+
+  socket.projects.delete(projectId);
+};
+
+// membership is checked on every subscribe, never trusted from the client
+const handleSubscribe = async (socket, projectId) => {
+  if (!mongoose.isValidObjectId(projectId)) {
+    return send(socket, { type: "error", message: "Invalid project id!" });
+  }
+
+  const projectMember = await ProjectMember.findOne({
+    project: projectId,
+    user: socket.user._id,
+  });
+
+  if (!projectMember) {
+    return send(socket, {
+      type: "error",
+      projectId,
+      message: "You are not a member of this project!",
+    });
+  }
+
+  subscribe(socket, String(projectId));
+  send(socket, { type: RealtimeEventEnum.SUBSCRIBED, projectId });
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, { type: "error", message: "Message must be JSON!" });
+  }
+
+  const { action, projectId } = message || {};
+
+  if (action === "subscribe") {
+    return handleSubscribe(socket, projectId);
+  }
+
+  if (action === "unsubscribe") {
+    unsubscribe(socket, String(projectId));
+    return send(socket, { type: RealtimeEventEnum.UNSUBSCRIBED, projectId });
+  }
+
+  send(socket, { type: "error", message: "Unknown action!" });
+};
+
+// closes every socket opened with the session, e.g. after logout
+const closeSessionSockets = (sessionId, reason = "Session revoked") => {
+  for (const socket of sessionSockets.get(String(sessionId)) || []) {
+    socket.close(4003, reason);
+  }
+};
+
+// closes the sockets of every session of a user, e.g. after a password change
+const closeUserSockets = (
+  userId,
+  { exceptSessionId, reason = "Session revoked" } = {},
+) => {
+  for (const [sessionId, sockets] of sessionSockets) {
+    if (exceptSessionId && sessionId === String(exceptSessionId)) continue;
+
+    for (const socket of sockets) {
+      if (String(socket.user._id) === String(userId)) {
+        socket.close(4003, reason);
+      }
+    }
+  }
+};
+
+// sessions can also be revoked by another process, so the heartbeat
+// checks them again
+const closeRevokedSessions = async () => {
+  const sessionIds = [...sessionSockets.keys()];
+
+  if (!sessionIds.length) return;
+
+  const activeSessions = await Session.find({
+    _id: { $in: sessionIds },
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() },
+  }).select("_id");
+
+  const activeSessionIds = new Set(
+    activeSessions.map((session) => String(session._id)),
+  );
+
+  for (const sessionId of sessionIds) {
+    if (!activeSessionIds.has(sessionId)) closeSessionSockets(sessionId);
+  }
+};
+
+// rejects the upgrade with a plain http response before the socket opens
+const rejectUpgrade = (socket, statusCode, message) => {
+  socket.write(
+    `HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`,
+  );
+  socket.destroy();
+};
+
+// attaches the realtime websocket server to the http server
+const attachRealtimeServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+  const parseCookies = cookieParser();
+
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname !== REALTIME_PATH) {
+      return rejectUpgrade(socket, 404, "Not Found");
+    }
+
+    // browsers send the cookie from any site, only the frontend may connect
+    // (clients outside a browser send no Origin)
+    const { origin } = req.headers;
+    if (origin && !isAllowedOrigin(origin)) {
+      return rejectUpgrade(socket, 403, "Forbidden");
+    }
+
+    parseCookies(req, {}, async () => {
+      try {
+        const { user, session, decodedToken } = await authenticateAccessToken(
+          getAccessToken(req),
+        );
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+          ws.user = user;
+          ws.sessionId = session._id;
+          ws.projects = new Set();
+          ws.isAlive = true;
+
+          // the client has to reconnect with a refreshed access token
+          // (setTimeout cannot wait longer than ~24 days)
+          const expiresIn = Math.min(
+            decodedToken.exp * 1000 - Date.now(),
+            2 ** 31 - 1,
+          );
+          ws.expiryTimer = setTimeout(
+            () => ws.close(4001, "Access token expired"),
+            expiresIn,
+          );
+
+          wss.emit("connection", ws, req);
+        });
+      } catch (error) {
+        rejectUpgrade(socket, 401, "Unauthorized");
+      }
+    });
+  });
+
+  wss.on("connection", (ws) => {
+    const sessionId = String(ws.sessionId);
+
+    if (!sessionSockets.has(sessionId)) {
+      sessionSockets.set(sessionId, new Set());
+    }
+    sessionSockets.get(sessionId).add(ws);
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    ws.on("message", (raw) => {
+      handleMessage(ws, raw.toString()).catch((error) => {
+        logger.error("Realtime message ERROR", error);
+        send(ws, { type: "error", message: "Something went wrong!" });
+      });
+    });
+
+    ws.on("close", () => {
+      clearTimeout(ws.expiryTimer);
+
+      const sockets = sessionSockets.get(sessionId);
+      sockets?.delete(ws);
+      if (!sockets?.size) sessionSockets.delete(sessionId);
+
+      for (const projectId of [...ws.projects]) {
+        unsubscribe(ws, projectId);
+      }
+    });
+
+    send(ws, {
+      type: RealtimeEventEnum.CONNECTED,
+      data: { user: ws.user._id },
+    });
+  });
+
+  // drops connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    }
+
+    closeRevokedSessions().catch((error) =>
+      logger.error("Error while checking realtime sessions", error),
+    );
+  }, HEARTBEAT_INTERVAL);
+
+  heartbeat.unref();
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+// pushes a typed event to every client subscribed to the project
+const publishProjectEvent = (projectId, type, data, actor) => {
+  const sockets = projectSubscribers.get(String(projectId));
+
+  if (!sockets) return;
+
+  const message = {
+    type,
+    projectId: String(projectId),
+    actor: actor ? String(actor) : undefined,
+    data,
+    timestamp: new Date().toISOString(),
+  };
+
+  for (const socket of sockets) {
+    send(socket, message);
+  }
+};
+
+// stops streaming a project to a user, e.g. after they were removed from it
+const unsubscribeUserFromProject = (projectId, userId, reason) => {
+  const sockets = projectSubscribers.get(String(projectId));
+
+  if (!sockets) return;
+
+  for (const socket of [...sockets]) {
+    if (userId && String(socket.user._id) !== String(userId)) continue;
+
+    unsubscribe(socket, String(projectId));
+    send(socket, {
+      type: RealtimeEventEnum.UNSUBSCRIBED,
+      projectId: String(projectId),
+      reason,
+    });
+  }
+};
+
+export {
+  REALTIME_PATH,
+  attachRealtimeServer,
+  closeSessionSockets,
+  closeUserSockets,
+  publishProjectEvent,
+  unsubscribeUserFromProject,
+};
@@ -0,0 +1,112 @@
+import { Task } from "../models/task.models.js";
+import { TaskStatusEnum } from "./constants.js";
+import { sendEmail, taskDueSoonMail, taskOverdueMail } from "./mail.js";
+import { logger } from "./logger.js";
+
+const getReminderLeadTime = () =>
+  (Number(process.env.TASK_REMINDER_LEAD_HOURS) || 24) * 60 * 60 * 1000;
+
+const REMINDERS = {
+  dueSoon: {
+    field: "reminders.dueSoonSentAt",
+    dueDate: (now) => ({
+      $gt: now,
+      $lte: new Date(now + getReminderLeadTime()),
+    }),
+    subject: (task) => `Reminder: "${task.title}" is due soon`,
+    mail: taskDueSoonMail,
+  },
+  overdue: {
+    field: "reminders.overdueSentAt",
+    dueDate: (now) => ({ $lte: new Date(now) }),
+    subject: (task) => `"${task.title}" is overdue`,
+    mail: taskOverdueMail,
+  },
+};
+
+// claims one task at a time by stamping the reminder before mailing,
+// so a restart or a second process never sends the same reminder twice
+const processReminder = async (
+  { field, dueDate, subject, mail },
+  batchSize,
+) => {
+  let processed = 0;
+
+  while (processed < batchSize) {
+    const now = Date.now();
+
+    const task = await Task.findOneAndUpdate(
+      {
+        status: { $ne: TaskStatusEnum.DONE },
+        assignedTo: { $exists: true, $ne: null },
+        dueDate: dueDate(now),
+        [field]: { $exists: false },
+      },
+      { $set: { [field]: now } },
+      { sort: { dueDate: 1 }, new: true, timestamps: false },
+    ).populate([
+      {
+        path: "assignedTo",
+        select: "username email notificationPreferences",
+      },
+      { path: "project", select: "name" },
+    ]);
+
+    if (!task) break;
+    processed++;
+
+    const assignee = task.assignedTo;
+
+    // muted reminders stay claimed so they are not sent after unmuting
+    if (
+      !assignee ||
+      assignee.notificationPreferences?.taskReminders === false
+    ) {
+      continue;
+    }
+
+    await sendEmail({
+      email: assignee.email,
+      subject: subject(task),
+      mailgenContent: mail(
+        assignee.username,
+        task.title,
+        task.project?.name,
+        task.dueDate,
+        `${process.env.CLIENT_URL}/projects/${task.project?._id}/tasks/${task._id}`,
+      ),
+    });
+  }
+
+  return processed;
+};
+
+const processTaskReminders = async (batchSize = 50) => {
+  const dueSoon = await processReminder(REMINDERS.dueSoon, batchSize);
+  const overdue = await processReminder(REMINDERS.overdue, batchSize);
+
+  return { dueSoon, overdue };
+};
+
+const startTaskReminderWorker = ({ intervalMs = 5 * 60 * 1000 } = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await processTaskReminders();
+    } catch (error) {
+      logger.error("Task reminder worker ERROR", error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export { processTaskReminders, startTaskReminderWorker };
@@ -0,0 +1,125 @@
+import crypto from "crypto";
+
+// RFC 6238 time based one time passwords (the format authenticator apps use)
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP = 30; //seconds
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// RFC 4226 HOTP for a given counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary =
+    ((hmac[offset] & 127) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const getTotpStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / TOTP_STEP);
+};
+
+const generateTotp = (secret, time = Date.now()) => {
+  return generateHotp(secret, getTotpStep(time));
+};
+
+// returns the matched time step (to block replays) or null,
+// `window` steps on each side absorb clock drift
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+  const currentStep = getTotpStep(time);
+  const expected = Buffer.from(String(code));
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const candidate = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const getOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  getOtpauthUrl,
+};
@@ -0,0 +1,231 @@
+import crypto from "crypto";
+import { Webhook } from "../models/webhook.models.js";
+import { WebhookDelivery } from "../models/webhookdelivery.models.js";
+import { WEBHOOK_PING_EVENT, WebhookDeliveryStatusEnum } from "./constants.js";
+import { logger } from "./logger.js";
+import { assertPublicUrl } from "./network.js";
+
+const RETRY_BASE_DELAY = 30 * 1000; //30 sec
+const RETRY_MAX_DELAY = 60 * 60 * 1000; //1 hour
+const SENDING_LOCK_TIMEOUT = 5 * 60 * 1000; //5 min
+const REQUEST_TIMEOUT = 10 * 1000; //10 sec
+
+const getDisableThreshold = () =>
+  Number(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 10;
+
+const getRetryDelay = (attempts) => {
+  return Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempts - 1));
+};
+
+// receivers recompute this over "<timestamp>.<raw body>" with their secret
+const signPayload = (secret, timestamp, body) => {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+};
+
+//! Count a failed attempt and disable the webhook once it keeps failing
+const registerWebhookFailure = async (webhookId, reason) => {
+  const webhook = await Webhook.findByIdAndUpdate(
+    webhookId,
+    { $inc: { consecutiveFailures: 1 } },
+    { new: true },
+  );
+
+  if (
+    webhook?.isActive &&
+    webhook.consecutiveFailures >= getDisableThreshold()
+  ) {
+    webhook.isActive = false;
+    webhook.disabledAt = Date.now();
+    webhook.disabledReason = `Disabled after ${webhook.consecutiveFailures} failed deliveries: ${reason}`;
+    await webhook.save();
+  }
+};
+
+// posts one delivery and records the outcome on it,
+// `force` sends even to a disabled webhook (used by the test ping)
+const deliverWebhook = async (delivery, { force = false } = {}) => {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+
+  if (!webhook || (!webhook.isActive && !force)) {
+    delivery.status = WebhookDeliveryStatusEnum.FAILED;
+    delivery.lastError = "Webhook is deleted or disabled";
+    delivery.lockedAt = undefined;
+    await delivery.save();
+    return { delivered: false };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  delivery.attempts += 1;
+  delivery.responseStatus = undefined;
+
+  try {
+    // checked again here, the host may resolve differently since it was saved
+    await assertPublicUrl(webhook.url);
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Project-Camp-Webhooks/1.0",
+        "X-Webhook-Id": String(webhook._id),
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+
+    delivery.durationMs = Date.now() - startedAt;
+    delivery.responseStatus = response.status;
+    // the body is never stored, it could be anything the receiver exposes
+    await response.body?.cancel();
+
+    if (!response.ok) {
+      throw new Error(`Receiver responded with ${response.status}`);
+    }
+
+    delivery.status = WebhookDeliveryStatusEnum.SUCCEEDED;
+    delivery.deliveredAt = Date.now();
+    delivery.lastError = undefined;
+    delivery.lockedAt = undefined;
+    await delivery.save();
+
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { consecutiveFailures: 0, lastDeliveryAt: Date.now() } },
+    );
+
+    return { delivered: true };
+  } catch (error) {
+    const gaveUp =
+      delivery.attempts >= delivery.maxAttempts ||
+      delivery.event === WEBHOOK_PING_EVENT;
+
+    delivery.durationMs = Date.now() - startedAt;
+    delivery.status = gaveUp
+      ? WebhookDeliveryStatusEnum.FAILED
+      : WebhookDeliveryStatusEnum.PENDING;
+    delivery.lastError = error.message;
+    delivery.nextAttemptAt = Date.now() + getRetryDelay(delivery.attempts);
+    delivery.lockedAt = undefined;
+    await delivery.save();
+
+    // a failing ping should not count against the endpoint
+    if (delivery.event !== WEBHOOK_PING_EVENT) {
+      await registerWebhookFailure(webhook._id, error.message);
+    }
+
+    return { delivered: false, error };
+  }
+};
+
+// queues the event for every active webhook of the project that wants it,
+// a failure here must never fail the request
+const dispatchWebhookEvent = async (projectId, event, data) => {
+  try {
+    const webhooks = await Webhook.find({
+      project: projectId,
+      isActive: true,
+      events: event,
+    });
+
+    for (const webhook of webhooks) {
+      const delivery = new WebhookDelivery({
+        webhook: webhook._id,
+        project: projectId,
+        event,
+        status: WebhookDeliveryStatusEnum.SENDING,
+        lockedAt: Date.now(),
+      });
+
+      delivery.payload = {
+        id: String(delivery._id),
+        event,
+        project: String(projectId),
+        createdAt: new Date().toISOString(),
+        data: JSON.parse(JSON.stringify(data)),
+      };
+
+      await delivery.save();
+
+      // the first attempt runs in the background, the worker retries it
+      deliverWebhook(delivery).catch((error) =>
+        logger.error("Error while delivering webhook", error),
+      );
+    }
+  } catch (error) {
+    logger.error("Error while dispatching webhook event", error);
+  }
+};
+
+// claims due deliveries one by one so several processes can share the queue
+const processWebhookQueue = async (batchSize = 20) => {
+  let processed = 0;
+
+  while (processed < batchSize) {
+    const now = Date.now();
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          {
+            status: WebhookDeliveryStatusEnum.PENDING,
+            nextAttemptAt: { $lte: now },
+          },
+          // a process died while sending
+          {
+            status: WebhookDeliveryStatusEnum.SENDING,
+            lockedAt: { $lt: now - SENDING_LOCK_TIMEOUT },
+          },
+        ],
+      },
+      { $set: { status: WebhookDeliveryStatusEnum.SENDING, lockedAt: now } },
+      { sort: { nextAttemptAt: 1 }, new: true },
+    );
+
+    if (!delivery) break;
+
+    await deliverWebhook(delivery);
+    processed++;
+  }
+
+  return processed;
+};
+
+const startWebhookWorker = ({ intervalMs = 30 * 1000 } = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await processWebhookQueue();
+    } catch (error) {
+      logger.error("Webhook worker ERROR", error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export {
+  signPayload,
+  deliverWebhook,
+  dispatchWebhookEvent,
+  processWebhookQueue,
+  startWebhookWorker,
+};
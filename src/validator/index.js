@@ -1,4 +1,19 @@
-import { body } from "express-validator";
+import { body, query } from "express-validator";
+import mongoose from "mongoose";
+import {
+  AvailableActivityAction,
+  AvailableActivityEntity,
+  AvailableInvitationStatus,
+  AvailableNotificationDelivery,
+  AvailableNotificationType,
+  AvailablePersonalTokenScope,
+  AvailableTaskPriority,
+  AvailableWebhookDeliveryStatus,
+  AvailableWebhookEvent,
+  AvailableTaskStatus,
+  AvailableUserRole,
+} from "../utils/constants.js";
+import { assertPublicUrl } from "../utils/network.js";
 
 const userRegisterValidator = () => {
   return [
@@ -21,6 +36,8 @@ const userRegisterValidator = () => {
     body("password").trim().notEmpty().withMessage("Password is required!"),
 
     body("fullname").optional().trim(),
+
+    body("invitationToken").optional().trim(),
   ];
 };
 
@@ -53,10 +70,690 @@ const userResetForgotPasswordvalidator = () => {
   return [body("newPassword").notEmpty().withMessage("Password Is required !")];
 };
 
+const updateProfileValidator = () => {
+  return [
+    body("fullName")
+      .exists()
+      .withMessage("Full name is required!")
+      .isString()
+      .withMessage("Full name must be a text!")
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Full name can be at most 100 characters!"),
+  ];
+};
+
+const changeUsernameValidator = () => {
+  return [
+    body("username")
+      .trim()
+      .notEmpty()
+      .withMessage("username is required!")
+      .isLowercase()
+      .withMessage("Username must be in lowercase!")
+      .isLength({ min: 3 })
+      .withMessage("Username must be at least 3 characters!"),
+  ];
+};
+
+const changeEmailValidator = () => {
+  return [
+    body("email")
+      .trim()
+      .notEmpty()
+      .withMessage("Email id required!")
+      .isEmail()
+      .withMessage("Email is invalid!"),
+
+    body("password").notEmpty().withMessage("Password is required!"),
+  ];
+};
+
+const deleteAccountValidator = () => {
+  return [
+    body("password").notEmpty().withMessage("Password is required!"),
+
+    body("transfers")
+      .optional()
+      .isArray()
+      .withMessage("Transfers must be a list!"),
+
+    body(["transfers.*.project", "transfers.*.user"])
+      .isMongoId()
+      .withMessage("Every transfer needs a project and a user id!"),
+  ];
+};
+
+const createPersonalTokenValidator = () => {
+  return [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Token name is required!")
+      .isLength({ max: 100 })
+      .withMessage("Token name can be at most 100 characters!"),
+
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("Choose at least one scope!"),
+
+    body("scopes.*")
+      .isIn(AvailablePersonalTokenScope)
+      .withMessage("Scope is invalid!"),
+
+    body("expiresAt")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Expiry must be a valid date!")
+      .custom((expiresAt) => new Date(expiresAt) > new Date())
+      .withMessage("Expiry must be in the future!"),
+
+    body("projects")
+      .optional()
+      .isArray()
+      .withMessage("Projects must be a list!"),
+
+    body("projects.*").isMongoId().withMessage("Project is invalid!"),
+  ];
+};
+
+const createProjectValidator = () => {
+  return [
+    body("name").trim().notEmpty().withMessage("Project name is required!"),
+
+    body("description").optional().trim(),
+  ];
+};
+
+const updateProjectValidator = () => {
+  return [
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Project name can not be empty!"),
+
+    body("description").optional().trim(),
+  ];
+};
+
+const addMemberToProjectValidator = () => {
+  return [
+    body("email")
+      .trim()
+      .notEmpty()
+      .withMessage("Email is required!")
+      .isEmail()
+      .withMessage("Email is invalid!"),
+
+    body("role")
+      .notEmpty()
+      .withMessage("Role is required!")
+      .isIn(AvailableUserRole)
+      .withMessage("Role is invalid!"),
+  ];
+};
+
+const updateMemberRoleValidator = () => {
+  return [
+    body("newRole")
+      .notEmpty()
+      .withMessage("Role is required!")
+      .isIn(AvailableUserRole)
+      .withMessage("Role is invalid!"),
+  ];
+};
+
+const TASK_SORT_FIELDS = [
+  "title",
+  "status",
+  "priority",
+  "dueDate",
+  "createdAt",
+  "updatedAt",
+];
+
+const getTasksValidator = () => {
+  return [
+    query("status")
+      .optional()
+      .custom((value) =>
+        value
+          .split(",")
+          .every((status) => AvailableTaskStatus.includes(status)),
+      )
+      .withMessage(
+        `Status must be a comma separated list of ${AvailableTaskStatus.join(", ")}!`,
+      ),
+
+    query("priority")
+      .optional()
+      .custom((value) =>
+        value
+          .split(",")
+          .every((priority) => AvailableTaskPriority.includes(priority)),
+      )
+      .withMessage(
+        `Priority must be a comma separated list of ${AvailableTaskPriority.join(", ")}!`,
+      ),
+
+    query("assignedTo")
+      .optional()
+      .custom(
+        (value) => value === "unassigned" || mongoose.isValidObjectId(value),
+      )
+      .withMessage("Assignee must be a user id or unassigned!"),
+
+    query("createdBy")
+      .optional()
+      .isMongoId()
+      .withMessage("Creator is invalid!"),
+
+    query([
+      "createdFrom",
+      "createdTo",
+      "updatedFrom",
+      "updatedTo",
+      "dueFrom",
+      "dueTo",
+    ])
+      .optional()
+      .isISO8601()
+      .withMessage("Date range values must be valid dates!"),
+
+    query("overdue")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("Overdue must be true or false!"),
+
+    query("sort")
+      .optional()
+      .custom((value) => {
+        const fields = value.split(",").map((field) => field.replace(/^-/, ""));
+        return (
+          fields.every((field) => TASK_SORT_FIELDS.includes(field)) &&
+          new Set(fields).size === fields.length
+        );
+      })
+      .withMessage(
+        `Sort must be a comma separated list of ${TASK_SORT_FIELDS.join(", ")}, prefixed with - for descending!`,
+      ),
+
+    query("cursor")
+      .optional()
+      .isBase64({ urlSafe: true })
+      .withMessage("Cursor is invalid!"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100!"),
+  ];
+};
+
+const searchProjectValidator = () => {
+  return [
+    query("q")
+      .exists()
+      .withMessage("Search query is required!")
+      .bail()
+      .isString()
+      .withMessage("Search query must be a single value!")
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage("Search query is required!")
+      .isLength({ max: 200 })
+      .withMessage("Search query can not exceed 200 characters!"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50!"),
+  ];
+};
+
+const createTaskValidator = () => {
+  return [
+    body("title").trim().notEmpty().withMessage("Task title is required!"),
+
+    body("description").optional().trim(),
+
+    body("assignedTo")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Assignee is invalid!"),
+
+    body("status")
+      .optional()
+      .isIn(AvailableTaskStatus)
+      .withMessage("Task status is invalid!"),
+
+    body("dueDate")
+      .optional({ values: "falsy" })
+      .isISO8601()
+      .withMessage("Due date must be a valid date!"),
+
+    body("priority")
+      .optional()
+      .isIn(AvailableTaskPriority)
+      .withMessage("Task priority is invalid!"),
+  ];
+};
+
+const updateTaskValidator = () => {
+  return [
+    body("title")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Task title can not be empty!"),
+
+    body("description").optional().trim(),
+
+    body("assignedTo")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Assignee is invalid!"),
+
+    body("status")
+      .optional()
+      .isIn(AvailableTaskStatus)
+      .withMessage("Task status is invalid!"),
+
+    body("dueDate")
+      .optional({ values: "falsy" })
+      .isISO8601()
+      .withMessage("Due date must be a valid date!"),
+
+    body("priority")
+      .optional()
+      .isIn(AvailableTaskPriority)
+      .withMessage("Task priority is invalid!"),
+  ];
+};
+
+const createSubTaskValidator = () => {
+  return [
+    body("title").trim().notEmpty().withMessage("Subtask title is required!"),
+  ];
+};
+
+const updateSubTaskValidator = () => {
+  return [
+    body("title")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Subtask title can not be empty!"),
+
+    body("isCompleted")
+      .optional()
+      .isBoolean()
+      .withMessage("isCompleted must be a boolean!")
+      .toBoolean(),
+  ];
+};
+
+const createNoteValidator = () => {
+  return [
+    body("title").trim().notEmpty().withMessage("Note title is required!"),
+
+    body("content").notEmpty().withMessage("Note content is required!"),
+  ];
+};
+
+const updateNoteValidator = () => {
+  return [
+    body("title")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Note title can not be empty!"),
+
+    body("content")
+      .optional()
+      .notEmpty()
+      .withMessage("Note content can not be empty!"),
+  ];
+};
+
+const createInvitationValidator = () => {
+  return [
+    body("email")
+      .trim()
+      .notEmpty()
+      .withMessage("Email is required!")
+      .isEmail()
+      .withMessage("Email is invalid!")
+      .toLowerCase(),
+
+    body("role")
+      .notEmpty()
+      .withMessage("Role is required!")
+      .isIn(AvailableUserRole)
+      .withMessage("Role is invalid!"),
+  ];
+};
+
+const getInvitationsValidator = () => {
+  return [
+    query("status")
+      .optional()
+      .isIn(AvailableInvitationStatus)
+      .withMessage("Invitation status is invalid!"),
+  ];
+};
+
+const twoFactorCodeValidator = () => {
+  return [
+    body("code")
+      .trim()
+      .notEmpty()
+      .withMessage("Code is required!")
+      .matches(/^\d{6}$/)
+      .withMessage("Code must be 6 digits!"),
+  ];
+};
+
+const twoFactorLoginValidator = () => {
+  return [
+    body("challengeToken")
+      .notEmpty()
+      .withMessage("Challenge token is required!"),
+
+    body("code")
+      .optional()
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage("Code must be 6 digits!"),
+
+    body("recoveryCode").optional().trim(),
+
+    body().custom((value) => {
+      if (!value?.code && !value?.recoveryCode) {
+        throw new Error("Code or recovery code is required!");
+      }
+      return true;
+    }),
+  ];
+};
+
+const createCommentValidator = () => {
+  return [
+    body("body")
+      .trim()
+      .notEmpty()
+      .withMessage("Comment is required!")
+      .isLength({ max: 10000 })
+      .withMessage("Comment can be at most 10000 characters!"),
+
+    body("parent")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Parent comment is invalid!"),
+  ];
+};
+
+const updateCommentValidator = () => {
+  return [
+    body("body")
+      .trim()
+      .notEmpty()
+      .withMessage("Comment is required!")
+      .isLength({ max: 10000 })
+      .withMessage("Comment can be at most 10000 characters!"),
+  ];
+};
+
+const activityFeedValidator = () => {
+  return [
+    query("entityType")
+      .optional()
+      .isIn(AvailableActivityEntity)
+      .withMessage("Entity type is invalid!"),
+
+    query("entityId")
+      .optional()
+      .isMongoId()
+      .withMessage("Entity id is invalid!"),
+
+    query("action")
+      .optional()
+      .isIn(AvailableActivityAction)
+      .withMessage("Action is invalid!"),
+
+    query("actor").optional().isMongoId().withMessage("Actor is invalid!"),
+
+    query("from")
+      .optional()
+      .isISO8601()
+      .withMessage("From must be a valid date!"),
+
+    query("to").optional().isISO8601().withMessage("To must be a valid date!"),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive number!"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100!"),
+  ];
+};
+
+const projectStatsValidator = () => {
+  return [
+    query("from")
+      .optional()
+      .isISO8601()
+      .withMessage("From must be a valid date!")
+      .bail()
+      .custom((from, { req }) => {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        // keeps the weekly series small
+        return to - new Date(from) <= 366 * 24 * 60 * 60 * 1000;
+      })
+      .withMessage("The range can not be longer than a year!"),
+
+    query("to")
+      .optional()
+      .isISO8601()
+      .withMessage("To must be a valid date!")
+      .bail()
+      .custom((to, { req }) => {
+        if (!req.query.from) return true;
+        return new Date(req.query.from) <= new Date(to);
+      })
+      .withMessage("To must be after from!"),
+  ];
+};
+
+const createWebhookValidator = () => {
+  return [
+    body("url")
+      .trim()
+      .notEmpty()
+      .withMessage("Webhook url is required!")
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Webhook url must be a valid http(s) url!")
+      .bail()
+      .custom(assertPublicUrl)
+      .withMessage("Webhook url must resolve to a public address!"),
+
+    body("description").optional().trim(),
+
+    body("events")
+      .isArray({ min: 1 })
+      .withMessage("Choose at least one event!"),
+
+    body("events.*")
+      .isIn(AvailableWebhookEvent)
+      .withMessage(
+        `Events must be one of ${AvailableWebhookEvent.join(", ")}!`,
+      ),
+  ];
+};
+
+const updateWebhookValidator = () => {
+  return [
+    body("url")
+      .optional()
+      .trim()
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Webhook url must be a valid http(s) url!")
+      .bail()
+      .custom(assertPublicUrl)
+      .withMessage("Webhook url must resolve to a public address!"),
+
+    body("description").optional().trim(),
+
+    body("events")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Choose at least one event!"),
+
+    body("events.*")
+      .isIn(AvailableWebhookEvent)
+      .withMessage(
+        `Events must be one of ${AvailableWebhookEvent.join(", ")}!`,
+      ),
+
+    body("isActive")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("isActive must be true or false!"),
+
+    body("rotateSecret")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("rotateSecret must be true or false!"),
+  ];
+};
+
+const getWebhookDeliveriesValidator = () => {
+  return [
+    query("status")
+      .optional()
+      .isIn(AvailableWebhookDeliveryStatus)
+      .withMessage("Delivery status is invalid!"),
+
+    query("event").optional().trim(),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive number!"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100!"),
+  ];
+};
+
+const importProjectValidator = () => {
+  return [
+    query("name")
+      .optional()
+      .isString()
+      .withMessage("Project name must be a single value!")
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage("Project name can not be empty!"),
+
+    query("dryRun")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("Dry run must be true or false!"),
+  ];
+};
+
+const twoFactorDisableValidator = () => {
+  return [body("password").notEmpty().withMessage("Password is required!")];
+};
+
+const getNotificationsValidator = () => {
+  return [
+    query("type")
+      .optional()
+      .isIn(AvailableNotificationType)
+      .withMessage("Notification type is invalid!"),
+
+    query("unreadOnly")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("Unread only must be true or false!"),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive number!"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100!"),
+  ];
+};
+
+const updateNotificationPreferencesValidator = () => {
+  return [
+    ...AvailableNotificationType.map((type) =>
+      body(type)
+        .optional()
+        .isIn(AvailableNotificationDelivery)
+        .withMessage(
+          `${type} must be one of ${AvailableNotificationDelivery.join(", ")}!`,
+        ),
+    ),
+
+    body("taskReminders")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("Task reminders must be true or false!"),
+  ];
+};
+
 export {
   userRegisterValidator,
   userLoginValidator,
   userChangeCurrectPasswordValidator,
   userForgotPasswordValidator,
   userResetForgotPasswordvalidator,
+  updateProfileValidator,
+  changeUsernameValidator,
+  changeEmailValidator,
+  deleteAccountValidator,
+  createPersonalTokenValidator,
+  createProjectValidator,
+  updateProjectValidator,
+  addMemberToProjectValidator,
+  updateMemberRoleValidator,
+  getTasksValidator,
+  searchProjectValidator,
+  createTaskValidator,
+  updateTaskValidator,
+  createSubTaskValidator,
+  updateSubTaskValidator,
+  createNoteValidator,
+  updateNoteValidator,
+  createInvitationValidator,
+  getInvitationsValidator,
+  twoFactorCodeValidator,
+  twoFactorLoginValidator,
+  twoFactorDisableValidator,
+  activityFeedValidator,
+  projectStatsValidator,
+  createWebhookValidator,
+  updateWebhookValidator,
+  getWebhookDeliveriesValidator,
+  importProjectValidator,
+  createCommentValidator,
+  updateCommentValidator,
+  getNotificationsValidator,
+  updateNotificationPreferencesValidator,
 };